@@ -0,0 +1,171 @@
+// animation/onion-skin.js
+// Onion skinning: translucent copies of the Character rig showing neighbouring poses
+// (previous/next animation keys, or a gallery pose to compare against).
+//
+// Ghosts are full Character builds (same proportions as the live rig) with one shared
+// transparent material per ghost. They are display-only:
+// - every node is flagged userData.ghost and NOT pickable (SelectionController skips them)
+// - joints are not flagged isJoint (gizmo/symmetry code never treats them as the live rig)
+// - no shadows, no depth writes (the live character always reads clearly through them)
+//
+// Only joint rotations are shown; props are not ghosted.
+
+import { Character } from "../character/character.js";
+
+export const ONION_SOURCES = ["off", "animation", "gallery"];
+
+export class OnionSkin {
+  /**
+   * @param {{
+   *  THREE: typeof import("three"),
+   *  scene: import("three").Scene,
+   *  count?: number,          // ghosts per side (before/after)
+   *  opacity?: number,        // nearest ghost opacity 0..1 (further ones fade out)
+   *  tintBefore?: string,     // "#rrggbb"
+   *  tintAfter?: string
+   * }} opts
+   */
+  constructor(opts = {}) {
+    this.THREE = opts.THREE;
+    this.scene = opts.scene;
+
+    this.count = Number.isFinite(opts.count) ? opts.count : 1;
+    this.opacity = Number.isFinite(opts.opacity) ? opts.opacity : 0.3;
+    this.tintBefore = opts.tintBefore || "#ff5c8a";
+    this.tintAfter = opts.tintAfter || "#42f5b0";
+
+    this.group = new this.THREE.Group();
+    this.group.name = "onion_skin";
+    this.group.userData.ghost = true;
+    this.scene.add(this.group);
+
+    /** @type {{ character: Character, material: import("three").Material, byName: Map<string, import("three").Object3D> }[]} */
+    this.ghosts = [];
+
+    this._before = [];
+    this._after = [];
+  }
+
+  /* ---------------- settings ---------------- */
+
+  setCount(n) {
+    const v = Math.round(Number(n));
+    this.count = Number.isFinite(v) ? Math.max(1, Math.min(5, v)) : 1;
+    this._sync();
+  }
+
+  setOpacity(v) {
+    const n = Number(v);
+    this.opacity = Number.isFinite(n) ? Math.max(0.02, Math.min(1, n)) : 0.3;
+    this._sync();
+  }
+
+  setTints({ before, after } = {}) {
+    if (before) this.tintBefore = before;
+    if (after) this.tintAfter = after;
+    this._sync();
+  }
+
+  /* ---------------- poses ---------------- */
+
+  /**
+   * Poses to ghost, nearest first. Only the first `count` of each side are shown.
+   * @param {{ before?: Object[], after?: Object[] }} poses
+   */
+  setPoses({ before = [], after = [] } = {}) {
+    this._before = before.filter(Boolean);
+    this._after = after.filter(Boolean);
+    this._sync();
+  }
+
+  clear() {
+    this.setPoses({});
+  }
+
+  /** Run fn with all ghosts hidden (thumbnails/exports). */
+  hideWhile(fn) {
+    const was = this.group.visible;
+    this.group.visible = false;
+    try {
+      return fn();
+    } finally {
+      this.group.visible = was;
+    }
+  }
+
+  dispose() {
+    this.ghosts.forEach((g) => this._disposeGhost(g));
+    this.ghosts.length = 0;
+    this.scene.remove(this.group);
+  }
+
+  /* ---------------- internals ---------------- */
+
+  _makeGhost() {
+    const THREE = this.THREE;
+    const material = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      roughness: 0.9,
+      metalness: 0,
+      transparent: true,
+      opacity: this.opacity,
+      depthWrite: false
+    });
+
+    // one material for every box of this ghost
+    const character = new Character(THREE, this.group, () => material);
+    character.build();
+
+    const byName = new Map();
+    character.root.traverse((o) => {
+      o.userData.ghost = true;
+      o.userData.pickable = false;
+      if (o.userData.isJoint) {
+        o.userData.isJoint = false;
+        byName.set(o.name, o);
+      }
+      if (o.isMesh) {
+        o.castShadow = false;
+        o.receiveShadow = false;
+        o.renderOrder = 1;
+      }
+    });
+
+    return { character, material, byName };
+  }
+
+  _disposeGhost(g) {
+    g.character.root.traverse((o) => o.geometry?.dispose?.());
+    g.material.dispose();
+    g.character.clear();
+  }
+
+  _sync() {
+    const n = this.count;
+    const slots = [
+      ...this._before.slice(0, n).map((pose, i) => ({ pose, i, tint: this.tintBefore })),
+      ...this._after.slice(0, n).map((pose, i) => ({ pose, i, tint: this.tintAfter }))
+    ];
+
+    while (this.ghosts.length < slots.length) this.ghosts.push(this._makeGhost());
+
+    this.ghosts.forEach((g, idx) => {
+      const slot = slots[idx];
+      g.character.root.visible = !!slot;
+      if (!slot) return;
+
+      g.material.color.set(slot.tint);
+      g.material.opacity = this.opacity * Math.pow(0.6, slot.i); // further = fainter
+      this._applyJoints(g, slot.pose);
+    });
+  }
+
+  _applyJoints(g, pose) {
+    const joints = pose?.joints || {};
+    g.byName.forEach((j, name) => {
+      const q = joints[name];
+      if (Array.isArray(q) && q.length === 4) j.quaternion.fromArray(q);
+      else j.quaternion.identity();
+    });
+  }
+}
@@ -0,0 +1,421 @@
+// animation/timeline-ui.js
+// Timeline panel: key the current pose at a frame, scrub, play back, edit keys, save/load JSON.
+// Matches the other UI classes (PresetsUI, Gallery): DOM refs + callbacks are injected by app.js.
+//
+// Key markers on the track:
+// - click a marker: select the key + jump to its frame
+// - drag a marker: move the key to another frame
+// - click the empty track: jump to that frame
+//
+// Playback is driven by the render loop: call tick(dtMs) every frame (createLoop onFrame hook).
+
+import {
+  createAnimation,
+  clampFrame,
+  findKey,
+  setKey,
+  deleteKey,
+  moveKey,
+  samplePose,
+  serializeAnimation,
+  parseAnimation
+} from "./timeline.js";
+
+export class TimelineUI {
+  /**
+   * @param {{
+   *  trackEl?: HTMLElement,          // key markers + playhead
+   *  scrubEl?: HTMLInputElement,     // <input type="range">
+   *  frameEl?: HTMLInputElement,     // current frame number
+   *  fpsEl?: HTMLSelectElement,
+   *  lengthEl?: HTMLInputElement,
+   *  btnPlayEl?: HTMLElement,
+   *  btnKeyEl?: HTMLElement,
+   *  btnDeleteKeyEl?: HTMLElement,
+   *  btnCopyKeyEl?: HTMLElement,
+   *  btnPasteKeyEl?: HTMLElement,
+   *  btnSaveEl?: HTMLElement,
+   *  btnLoadEl?: HTMLElement,
+   *  fileEl?: HTMLInputElement,
+   *
+   *  capturePose: ()=>Object,              // current pose (serializePose)
+   *  applyPose: (pose:Object)=>void,       // put a sampled pose on the rig
+   *  validatePose?: (pose:any)=>any,       // pose-schema report
+   *  downloadJson?: (filename:string, data:any)=>void,
+   *  showToast?: (msg:string, ms?:number)=>void,
+   *  onReport?: (entries:{name:string, report:any}[])=>void,
+   *  onChange?: ()=>void                   // keys or frame changed (onion skin etc.)
+   * }} opts
+   */
+  constructor(opts = {}) {
+    this.ui = {
+      track: opts.trackEl || null,
+      scrub: opts.scrubEl || null,
+      frame: opts.frameEl || null,
+      fps: opts.fpsEl || null,
+      length: opts.lengthEl || null,
+      btnPlay: opts.btnPlayEl || null,
+      btnKey: opts.btnKeyEl || null,
+      btnDeleteKey: opts.btnDeleteKeyEl || null,
+      btnCopyKey: opts.btnCopyKeyEl || null,
+      btnPasteKey: opts.btnPasteKeyEl || null,
+      btnSave: opts.btnSaveEl || null,
+      btnLoad: opts.btnLoadEl || null,
+      file: opts.fileEl || null
+    };
+
+    this.capturePose = opts.capturePose || null;
+    this.applyPose = opts.applyPose || null;
+    this.validatePose = opts.validatePose || null;
+    this.downloadJson = opts.downloadJson || null;
+    this.showToast = opts.showToast || (() => {});
+    this.onReport = opts.onReport || null;
+    this.onChange = opts.onChange || null;
+
+    this.anim = createAnimation({
+      fps: Number(this.ui.fps?.value) || 24,
+      length: Number(this.ui.length?.value) || 48
+    });
+
+    this.frame = 0;          // float while playing
+    this.playing = false;
+    this.selectedFrame = null; // frame of the selected key
+    this.clipboard = null;     // copied key pose
+
+    this._drag = null;
+  }
+
+  /* ---------------- state ---------------- */
+
+  getAnimation() {
+    return this.anim;
+  }
+
+  getFrame() {
+    return Math.round(this.frame);
+  }
+
+  hasKeys() {
+    return this.anim.keys.length > 0;
+  }
+
+  /**
+   * Jump to a frame and (by default) put the sampled pose on the rig.
+   * @param {number} frame
+   * @param {{ apply?: boolean }} [opts]
+   */
+  setFrame(frame, { apply = true } = {}) {
+    this.frame = clampFrame(this.anim, frame);
+    if (apply) this._applyAt(this.frame);
+    this.render();
+    this._changed();
+  }
+
+  /** Advance playback (call once per rendered frame). */
+  tick(dtMs) {
+    if (!this.playing || !this.hasKeys()) return;
+
+    const len = Math.max(1, this.anim.length);
+    this.frame += (Math.max(0, dtMs) / 1000) * this.anim.fps;
+    if (this.frame > len) this.frame = this.frame % len; // loop
+
+    this._applyAt(this.frame);
+    this._renderPlayhead();
+    this._changed();
+  }
+
+  play() {
+    if (!this.hasKeys()) {
+      this.showToast("Add keys first");
+      return;
+    }
+    this.playing = true;
+    this.render();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.frame = clampFrame(this.anim, this.frame);
+    this.render();
+    this._changed();
+  }
+
+  togglePlay() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  /* ---------------- key editing ---------------- */
+
+  keyCurrentPose() {
+    if (typeof this.capturePose !== "function") return this.showToast("Timeline: capturePose() missing", 1800);
+    this.pause();
+
+    const f = this.getFrame();
+    setKey(this.anim, f, this._keyPose(this.capturePose()));
+    this.selectedFrame = f;
+    this.render();
+    this._changed();
+    this.showToast(`Key set @ ${f}`);
+  }
+
+  deleteSelectedKey() {
+    const f = this.selectedFrame ?? this.getFrame();
+    if (!deleteKey(this.anim, f)) return this.showToast("No key on this frame");
+    this.selectedFrame = null;
+    this.render();
+    this._changed();
+    this.showToast(`Key deleted @ ${f}`);
+  }
+
+  copySelectedKey() {
+    const key = findKey(this.anim, this.selectedFrame ?? this.getFrame());
+    if (!key) return this.showToast("Select a key first");
+    this.clipboard = JSON.parse(JSON.stringify(key.pose));
+    this.showToast(`Key copied @ ${key.frame}`);
+  }
+
+  pasteKey() {
+    if (!this.clipboard) return this.showToast("Copy a key first");
+    this.pause();
+
+    const f = this.getFrame();
+    setKey(this.anim, f, this.clipboard);
+    this.selectedFrame = f;
+    this._applyAt(f);
+    this.render();
+    this._changed();
+    this.showToast(`Key pasted @ ${f}`);
+  }
+
+  moveSelectedKey(to) {
+    const from = this.selectedFrame;
+    if (from == null) return false;
+    if (!moveKey(this.anim, from, to)) return false;
+    this.selectedFrame = clampFrame(this.anim, to);
+    this.setFrame(this.selectedFrame);
+    this.showToast(`Key moved ${from} → ${this.selectedFrame}`);
+    return true;
+  }
+
+  setFps(fps) {
+    const n = Number(fps);
+    if (!Number.isFinite(n) || n <= 0) return;
+    this.anim.fps = n;
+    this.render();
+  }
+
+  setLength(length) {
+    const n = Math.round(Number(length));
+    if (!Number.isFinite(n) || n < 1) return this.render();
+
+    // never cut off existing keys
+    const lastKey = this.anim.keys.length ? this.anim.keys[this.anim.keys.length - 1].frame : 0;
+    this.anim.length = Math.max(n, lastKey);
+    if (this.frame > this.anim.length) this.frame = this.anim.length;
+    this.render();
+    this._changed();
+  }
+
+  /* ---------------- JSON ---------------- */
+
+  save() {
+    if (!this.hasKeys()) return this.showToast("Nothing to save (no keys)");
+    if (typeof this.downloadJson !== "function") return this.showToast("Timeline: downloadJson() missing", 1800);
+    this.downloadJson("animation.json", serializeAnimation(this.anim));
+    this.showToast("Saved animation.json");
+  }
+
+  /** @param {File} file */
+  async load(file) {
+    if (!file) return;
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      this.showToast("Load failed (invalid json)", 1800);
+      return;
+    }
+
+    const { anim, entries, error } = parseAnimation(data, { validatePose: this.validatePose });
+    if (entries.length && typeof this.onReport === "function") this.onReport(entries);
+    if (!anim) {
+      this.showToast(`Load failed (${error})`, 1800);
+      return;
+    }
+
+    this.pause();
+    this.anim = anim;
+    this.selectedFrame = null;
+    this._showFps(anim.fps);
+    this.setFrame(anim.keys.length ? anim.keys[0].frame : 0);
+    this.showToast(`Animation loaded (${anim.keys.length} key${anim.keys.length === 1 ? "" : "s"})`);
+  }
+
+  /** Select the file's fps in the picker, adding an option for rates it doesn't list (25 fps…). */
+  _showFps(fps) {
+    const el = this.ui.fps;
+    if (!el) return;
+    const value = String(fps);
+    if (![...el.options].some((o) => o.value === value)) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = `${value} fps`;
+      const next = [...el.options].find((o) => Number(o.value) > fps);
+      el.insertBefore(opt, next || null);
+    }
+    el.value = value;
+  }
+
+  /* ---------------- rendering ---------------- */
+
+  render() {
+    const { scrub, frame, length, btnPlay, track } = this.ui;
+    const f = this.getFrame();
+
+    if (scrub) {
+      scrub.min = "0";
+      scrub.max = String(this.anim.length);
+      scrub.value = String(f);
+    }
+    if (frame && document.activeElement !== frame) frame.value = String(f);
+    if (length && document.activeElement !== length) length.value = String(this.anim.length);
+    if (btnPlay) {
+      btnPlay.textContent = this.playing ? "Pause" : "Play";
+      btnPlay.classList.toggle("btn--active", this.playing);
+    }
+
+    if (!track) return;
+    track.innerHTML = "";
+
+    this.anim.keys.forEach((k) => {
+      const m = document.createElement("div");
+      m.className = "timeline__key" + (k.frame === this.selectedFrame ? " timeline__key--active" : "");
+      m.style.left = `${this._pct(k.frame)}%`;
+      m.title = `Key @ ${k.frame} (drag to move)`;
+      m.dataset.frame = String(k.frame);
+      track.appendChild(m);
+    });
+
+    const head = document.createElement("div");
+    head.className = "timeline__head";
+    track.appendChild(head);
+    this._renderPlayhead();
+  }
+
+  _renderPlayhead() {
+    const head = this.ui.track?.querySelector?.(".timeline__head");
+    if (head) head.style.left = `${this._pct(this.frame)}%`;
+    if (this.playing && this.ui.scrub) this.ui.scrub.value = String(Math.round(this.frame));
+    if (this.playing && this.ui.frame) this.ui.frame.value = String(Math.round(this.frame));
+  }
+
+  _pct(frame) {
+    return (Math.max(0, Math.min(this.anim.length, frame)) / Math.max(1, this.anim.length)) * 100;
+  }
+
+  _frameFromClientX(clientX) {
+    const rect = this.ui.track.getBoundingClientRect();
+    const t = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+    return clampFrame(this.anim, t * this.anim.length);
+  }
+
+  /* ---------------- internals ---------------- */
+
+  _keyPose(pose) {
+    // keys only need what playback uses
+    return { version: pose.version, joints: pose.joints || {}, props: pose.props || [] };
+  }
+
+  _applyAt(frame) {
+    if (typeof this.applyPose !== "function") return;
+    const pose = samplePose(this.anim, frame);
+    if (pose) this.applyPose(pose);
+  }
+
+  _changed() {
+    try {
+      this.onChange?.();
+    } catch (e) {
+      console.warn(e);
+    }
+  }
+
+  _bindTrack() {
+    const track = this.ui.track;
+    if (!track) return;
+
+    track.addEventListener("pointerdown", (e) => {
+      const marker = e.target?.closest?.(".timeline__key");
+      this.pause();
+
+      if (!marker) {
+        this.selectedFrame = null;
+        this.setFrame(this._frameFromClientX(e.clientX));
+        return;
+      }
+
+      const from = Number(marker.dataset.frame);
+      this.selectedFrame = from;
+      this._drag = { from, to: from, marker };
+      track.setPointerCapture?.(e.pointerId);
+      e.preventDefault();
+    });
+
+    track.addEventListener("pointermove", (e) => {
+      if (!this._drag) return;
+      this._drag.to = this._frameFromClientX(e.clientX);
+      this._drag.marker.style.left = `${this._pct(this._drag.to)}%`;
+    });
+
+    const endDrag = (e) => {
+      if (!this._drag) return;
+      const { from, to } = this._drag;
+      this._drag = null;
+      track.releasePointerCapture?.(e.pointerId);
+
+      if (to !== from) this.moveSelectedKey(to);
+      else this.setFrame(from);
+    };
+    track.addEventListener("pointerup", endDrag);
+    track.addEventListener("pointercancel", endDrag);
+  }
+
+  hookUI() {
+    const ui = this.ui;
+
+    ui.scrub?.addEventListener("input", () => {
+      this.pause();
+      this.setFrame(Number(ui.scrub.value));
+    });
+
+    ui.frame?.addEventListener("change", () => {
+      this.pause();
+      this.setFrame(Number(ui.frame.value));
+    });
+
+    ui.fps?.addEventListener("change", () => this.setFps(ui.fps.value));
+    ui.length?.addEventListener("change", () => this.setLength(ui.length.value));
+
+    ui.btnPlay?.addEventListener("click", () => this.togglePlay());
+    ui.btnKey?.addEventListener("click", () => this.keyCurrentPose());
+    ui.btnDeleteKey?.addEventListener("click", () => this.deleteSelectedKey());
+    ui.btnCopyKey?.addEventListener("click", () => this.copySelectedKey());
+    ui.btnPasteKey?.addEventListener("click", () => this.pasteKey());
+    ui.btnSave?.addEventListener("click", () => this.save());
+
+    ui.btnLoad?.addEventListener("click", () => ui.file?.click?.());
+    ui.file?.addEventListener("change", async () => {
+      await this.load(ui.file.files?.[0]);
+      ui.file.value = "";
+    });
+
+    this._bindTrack();
+  }
+
+  init() {
+    this.render();
+    this.hookUI();
+  }
+}
@@ -0,0 +1,248 @@
+// animation/timeline.js
+// Keyframe animation data + sampling.
+// An animation is a list of keys, each key holding a pose in the normal pose format
+// (serializePose() output: joints + props), so keys validate/migrate like pose files.
+//
+// Interpolation:
+// - joint + prop rotations: quaternion slerp (shortest path)
+// - prop position/scale: linear
+// - props are matched between keys by name (props missing in the next key just hold)
+//
+// This module does not touch the DOM. See animation/timeline-ui.js for the panel.
+
+import * as THREE from "three";
+
+export const ANIMATION_TYPE = "pose_sandbox_animation";
+export const ANIMATION_VERSION = 1;
+
+/**
+ * @typedef {Object} AnimationKey
+ * @property {number} frame
+ * @property {Object} pose   pose object (joints + props)
+ */
+
+/**
+ * @typedef {Object} Animation
+ * @property {number} fps
+ * @property {number} length   last frame (inclusive)
+ * @property {AnimationKey[]} keys   sorted by frame
+ */
+
+/**
+ * @param {{ fps?: number, length?: number }} [opts]
+ * @returns {Animation}
+ */
+export function createAnimation({ fps = 24, length = 48 } = {}) {
+  return { fps, length, keys: [] };
+}
+
+function clonePose(pose) {
+  return JSON.parse(JSON.stringify(pose || {}));
+}
+
+/** Integer frame inside 0..length */
+export function clampFrame(anim, frame) {
+  const f = Math.round(Number(frame) || 0);
+  return Math.max(0, Math.min(anim.length, f));
+}
+
+/** @returns {AnimationKey|null} */
+export function findKey(anim, frame) {
+  return anim.keys.find((k) => k.frame === frame) || null;
+}
+
+function sortKeys(anim) {
+  anim.keys.sort((a, b) => a.frame - b.frame);
+}
+
+/**
+ * Add or replace the key at `frame`.
+ * @returns {AnimationKey}
+ */
+export function setKey(anim, frame, pose) {
+  const f = clampFrame(anim, frame);
+  const existing = findKey(anim, f);
+  if (existing) {
+    existing.pose = clonePose(pose);
+    return existing;
+  }
+  const key = { frame: f, pose: clonePose(pose) };
+  anim.keys.push(key);
+  sortKeys(anim);
+  return key;
+}
+
+export function deleteKey(anim, frame) {
+  const i = anim.keys.findIndex((k) => k.frame === frame);
+  if (i < 0) return false;
+  anim.keys.splice(i, 1);
+  return true;
+}
+
+/** Move a key (overwrites whatever key sits on the target frame). */
+export function moveKey(anim, from, to) {
+  const key = findKey(anim, from);
+  if (!key) return false;
+  const f = clampFrame(anim, to);
+  if (f === from) return false;
+  deleteKey(anim, f);
+  key.frame = f;
+  sortKeys(anim);
+  return true;
+}
+
+/** Duplicate a key onto another frame. */
+export function copyKey(anim, from, to) {
+  const key = findKey(anim, from);
+  if (!key) return false;
+  setKey(anim, to, key.pose);
+  return true;
+}
+
+/**
+ * Keys strictly before/after a frame (nearest first).
+ * @returns {{ prev: AnimationKey[], next: AnimationKey[] }}
+ */
+export function getNeighbourKeys(anim, frame) {
+  const prev = anim.keys.filter((k) => k.frame < frame).reverse();
+  const next = anim.keys.filter((k) => k.frame > frame);
+  return { prev, next };
+}
+
+/* ---------------- Sampling ---------------- */
+
+const _qa = new THREE.Quaternion();
+const _qb = new THREE.Quaternion();
+
+function slerpArray(a, b, t) {
+  _qa.fromArray(a);
+  _qb.fromArray(b);
+  return _qa.slerp(_qb, t).toArray();
+}
+
+function lerpArray(a, b, t) {
+  return a.map((v, i) => v + ((b[i] ?? v) - v) * t);
+}
+
+function blendPoses(a, b, t) {
+  const joints = {};
+  const ja = a.joints || {};
+  const jb = b.joints || {};
+  new Set([...Object.keys(ja), ...Object.keys(jb)]).forEach((name) => {
+    if (ja[name] && jb[name]) joints[name] = slerpArray(ja[name], jb[name], t);
+    else joints[name] = (ja[name] || jb[name]).slice();
+  });
+
+  const propsB = new Map((b.props || []).map((p) => [p.name, p]));
+  const props = (a.props || []).map((pa) => {
+    const pb = propsB.get(pa.name);
+    if (!pb) return { ...pa };
+    const out = { ...pa };
+    if (pa.position && pb.position) out.position = lerpArray(pa.position, pb.position, t);
+    if (pa.quaternion && pb.quaternion) out.quaternion = slerpArray(pa.quaternion, pb.quaternion, t);
+    if (pa.scale && pb.scale) out.scale = lerpArray(pa.scale, pb.scale, t);
+    return out;
+  });
+
+  return { version: a.version, joints, props };
+}
+
+/**
+ * Interpolated pose at a (possibly fractional) frame. Holds the first/last key outside the key range.
+ * @returns {Object|null}
+ */
+export function samplePose(anim, frame) {
+  const keys = anim.keys;
+  if (!keys.length) return null;
+  if (frame <= keys[0].frame) return clonePose(keys[0].pose);
+  const last = keys[keys.length - 1];
+  if (frame >= last.frame) return clonePose(last.pose);
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    const a = keys[i];
+    const b = keys[i + 1];
+    if (frame >= a.frame && frame < b.frame) {
+      const t = (frame - a.frame) / (b.frame - a.frame);
+      return blendPoses(a.pose, b.pose, t);
+    }
+  }
+  return clonePose(last.pose);
+}
+
+/**
+ * Put a sampled pose on the live rig. Props are matched by name; none are created or removed
+ * (scrubbing should never rebuild the scene).
+ * @param {{ joints: THREE.Object3D[], props: THREE.Object3D[] }} world
+ * @param {Object} pose
+ */
+export function applySampledPose(world, pose) {
+  if (!pose) return;
+  const joints = pose.joints || {};
+  world.joints.forEach((j) => {
+    const q = joints[j.name];
+    if (Array.isArray(q) && q.length === 4) j.quaternion.fromArray(q);
+  });
+
+  const byName = new Map((pose.props || []).map((p) => [p.name, p]));
+  world.props.forEach((p) => {
+    const pd = byName.get(p.name);
+    if (!pd) return;
+    if (pd.position) p.position.fromArray(pd.position);
+    if (pd.quaternion) p.quaternion.fromArray(pd.quaternion);
+    if (pd.scale) p.scale.fromArray(pd.scale);
+  });
+}
+
+/* ---------------- JSON ---------------- */
+
+export function serializeAnimation(anim) {
+  return {
+    type: ANIMATION_TYPE,
+    version: ANIMATION_VERSION,
+    fps: anim.fps,
+    length: anim.length,
+    keys: anim.keys.map((k) => ({ frame: k.frame, pose: clonePose(k.pose) })),
+    savedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Parse animation JSON. Every key pose goes through validatePose (pose-schema) if provided.
+ * @param {any} data
+ * @param {{ validatePose?: (pose:any)=>{ ok:boolean, pose:any, errors:any[], warnings:any[] } }} [opts]
+ * @returns {{ anim: Animation|null, entries: { name:string, report:any }[], error: string }}
+ */
+export function parseAnimation(data, { validatePose = null } = {}) {
+  if (!data || typeof data !== "object" || data.type !== ANIMATION_TYPE) {
+    return { anim: null, entries: [], error: "Not an animation file" };
+  }
+  if (!Number.isInteger(data.version) || data.version > ANIMATION_VERSION) {
+    return { anim: null, entries: [], error: `Unsupported animation version ${data.version}` };
+  }
+
+  const fps = Number.isFinite(data.fps) && data.fps > 0 ? data.fps : 24;
+  const keys = Array.isArray(data.keys) ? data.keys : [];
+  const lastKeyFrame = keys.reduce((m, k) => (Number.isFinite(k?.frame) ? Math.max(m, Math.round(k.frame)) : m), 0);
+  const length = Math.max(Number.isInteger(data.length) && data.length > 0 ? data.length : 48, lastKeyFrame);
+  const anim = createAnimation({ fps, length });
+  const entries = [];
+
+  keys.forEach((k, i) => {
+    const name = `key ${i + 1} (frame ${k?.frame})`;
+    if (!k || !Number.isFinite(k.frame)) {
+      entries.push({ name, report: { ok: false, errors: [{ path: "frame", message: "missing frame" }], warnings: [] } });
+      return;
+    }
+
+    let pose = k.pose;
+    if (typeof validatePose === "function") {
+      const report = validatePose(pose);
+      if (!report.ok || report.warnings.length) entries.push({ name, report });
+      if (!report.ok) return;
+      pose = report.pose;
+    }
+    setKey(anim, k.frame, pose);
+  });
+
+  return { anim, entries, error: "" };
+}
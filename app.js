@@ -5,30 +5,65 @@
 import * as THREE from "three";
 
 import { Character } from "./character/character.js";
+import { clampJointRotation, clampAllJoints, randomizeJointRotation } from "./character/constraints.js";
 
 import { InputManager, bindPropButtons } from "./controls/inputs.js";
 import { ModesController } from "./controls/modes.js";
 import { SelectionController } from "./controls/selection.js";
+import { OutlinerUI } from "./controls/outliner.js";
+import { InspectorUI } from "./controls/inspector.js";
+import { MarqueeSelect } from "./controls/marquee.js";
+import { CameraViewsUI } from "./controls/camera-views.js";
+import { LightingUI } from "./controls/lighting-ui.js";
+import { ExportDialogUI } from "./controls/export-dialog.js";
+import { IKController } from "./controls/ik.js";
 
 import { clamp, degToRad, makeToast, niceTime } from "./core/helpers.js";
-import { createState, setShowAxes, setShowGrid, setShowOutline, setPerfEnabled } from "./core/state.js";
+import {
+  createState,
+  setShowAxes,
+  setShowGrid,
+  setShowOutline,
+  setPerfEnabled,
+  setConstraintsEnabled,
+  setConstraintsOnLoad,
+  setSpace,
+  setSnapMove,
+  setSnapScale,
+  setUniformScale,
+  setPivot,
+  setMarqueeShape,
+  setMarqueeFilter
+} from "./core/state.js";
+import { createHistory } from "./core/history.js";
 import {
   createWorld,
   resetAllJointRotations as resetAllJointRotationsWorld,
   addProp as addPropWorld,
   removeProp as removePropWorld,
   clearProps as clearPropsWorld,
+  captureWorldSnapshot,
+  restoreWorldSnapshot,
+  worldSnapshotsEqual,
   PROP_TYPES
 } from "./core/world.js";
 
 import { createRenderer } from "./engine/renderer.js";
 import { createScene, setBackgroundTone } from "./engine/scene.js";
 import { createLoop } from "./engine/loop.js";
+import { createPoseThumbnailer } from "./engine/pose-thumbnails.js";
+import { createCameraRig } from "./engine/camera-rig.js";
+import { createImageExporter } from "./engine/image-export.js";
 
 import { Gallery } from "./gallery/gallery.js";
 
-import { serializePose, applyPose, applyPoseJointsOnly } from "./poses/pose-io.js";
-import { createPresets, PresetsUI } from "./poses/presets.js";
+import { serializePose, applyPose, applyPoseJointsOnly, mirrorPose, importPosePack } from "./poses/pose-io.js";
+import { validatePose, formatPoseReport } from "./poses/pose-schema.js";
+import { PresetsUI } from "./poses/presets.js";
+
+import { applySampledPose, getNeighbourKeys } from "./animation/timeline.js";
+import { TimelineUI } from "./animation/timeline-ui.js";
+import { OnionSkin } from "./animation/onion-skin.js";
 
 /* ---------------------------- DOM refs ---------------------------- */
 const canvas = document.getElementById("c");
@@ -40,19 +75,64 @@ const selectionName = document.getElementById("selectionName");
 const btnFocus = document.getElementById("btnFocus");
 const btnClear = document.getElementById("btnClear");
 
+/* Inspector DOM */
+const inspectorFields = document.getElementById("inspectorFields");
+const inspectorOrder = document.getElementById("inspectorOrder");
+const inspectorEmpty = document.getElementById("inspectorEmpty");
+
+/* Outliner DOM */
+const outlinerTree = document.getElementById("outlinerTree");
+
+/* Camera DOM */
+const camViews = document.getElementById("camViews");
+const camProjection = document.getElementById("camProjection");
+const camFov = document.getElementById("camFov");
+const camFocal = document.getElementById("camFocal");
+const camBookmarks = document.getElementById("camBookmarks");
+const btnCamSave = document.getElementById("btnCamSave");
+const btnCamGo = document.getElementById("btnCamGo");
+const btnCamDelete = document.getElementById("btnCamDelete");
+
+/* Lighting DOM */
+const lightPreset = document.getElementById("lightPreset");
+const lightList = document.getElementById("lightList");
+const btnAddPointLight = document.getElementById("btnAddPointLight");
+const btnAddSpotLight = document.getElementById("btnAddSpotLight");
+const togLightHelpers = document.getElementById("togLightHelpers");
+
 const modeRotate = document.getElementById("modeRotate");
 const modeMove = document.getElementById("modeMove");
+const modeScale = document.getElementById("modeScale");
 const modeOrbit = document.getElementById("modeOrbit");
+const modeIk = document.getElementById("modeIk");
+const ikBend = document.getElementById("ikBend");
 
 const axisX = document.getElementById("axisX");
 const axisY = document.getElementById("axisY");
 const axisZ = document.getElementById("axisZ");
 const rotateSnap = document.getElementById("rotateSnap");
+const moveSnap = document.getElementById("moveSnap");
+const scaleSnap = document.getElementById("scaleSnap");
+const togUniformScale = document.getElementById("togUniformScale");
+const gizmoSpace = document.getElementById("gizmoSpace");
+const symmetryMode = document.getElementById("symmetryMode");
+const pivotMode = document.getElementById("pivotMode");
+const marqueeShape = document.getElementById("marqueeShape");
+const marqueeFilter = document.getElementById("marqueeFilter");
+const togLimits = document.getElementById("togLimits");
+const limitsOnLoad = document.getElementById("limitsOnLoad");
 
 const togGrid = document.getElementById("togGrid");
 const togAxes = document.getElementById("togAxes");
 const togOutline = document.getElementById("togOutline");
 
+const btnMirrorL2R = document.getElementById("btnMirrorL2R");
+const btnMirrorR2L = document.getElementById("btnMirrorR2L");
+const btnFlipPose = document.getElementById("btnFlipPose");
+
+const btnUndo = document.getElementById("btnUndo");
+const btnRedo = document.getElementById("btnRedo");
+
 const btnResetPose = document.getElementById("btnResetPose");
 const btnRandomPose = document.getElementById("btnRandomPose");
 const btnSavePose = document.getElementById("btnSavePose");
@@ -71,21 +151,113 @@ const btnCloseHelp = document.getElementById("btnCloseHelp");
 const btnHelpOk = document.getElementById("btnHelpOk");
 const btnPerf = document.getElementById("btnPerf");
 
+/* Import report DOM */
+const reportModal = document.getElementById("reportModal");
+const reportTitle = document.getElementById("reportTitle");
+const reportBody = document.getElementById("reportBody");
+const btnCloseReport = document.getElementById("btnCloseReport");
+const btnReportOk = document.getElementById("btnReportOk");
+
 /* Gallery DOM */
 const btnSaveGallery = document.getElementById("btnSaveGallery");
 const poseGallery = document.getElementById("poseGallery");
 const btnRenamePose = document.getElementById("btnRenamePose");
 const btnDeletePose = document.getElementById("btnDeletePose");
 const btnClearGallery = document.getElementById("btnClearGallery");
+const galleryUsage = document.getElementById("galleryUsage");
+const gallerySearch = document.getElementById("gallerySearch");
+const galleryFolder = document.getElementById("galleryFolder");
+const gallerySort = document.getElementById("gallerySort");
+const btnExportGallery = document.getElementById("btnExportGallery");
+const btnImportGallery = document.getElementById("btnImportGallery");
+const fileGallery = document.getElementById("fileGallery");
+
+/* Duplicate import DOM */
+const dupModal = document.getElementById("dupModal");
+const dupText = document.getElementById("dupText");
+const btnCloseDup = document.getElementById("btnCloseDup");
+const btnDupSkip = document.getElementById("btnDupSkip");
+const btnDupReplace = document.getElementById("btnDupReplace");
+const btnDupKeep = document.getElementById("btnDupKeep");
 
 /* Presets DOM */
 const presetGallery = document.getElementById("presetGallery");
 const btnPresetApply = document.getElementById("btnPresetApply");
 const btnPresetSave = document.getElementById("btnPresetSave");
+const btnPresetImport = document.getElementById("btnPresetImport");
+const btnPresetRemovePack = document.getElementById("btnPresetRemovePack");
+const filePresetPack = document.getElementById("filePresetPack");
+const btnPresetSaveAs = document.getElementById("btnPresetSaveAs");
+const btnPresetRename = document.getElementById("btnPresetRename");
+const btnPresetDelete = document.getElementById("btnPresetDelete");
+const btnPresetUp = document.getElementById("btnPresetUp");
+const btnPresetDown = document.getElementById("btnPresetDown");
+
+/* Save-as-preset DOM */
+const presetModal = document.getElementById("presetModal");
+const presetName = document.getElementById("presetName");
+const presetCategory = document.getElementById("presetCategory");
+const presetCategoryList = document.getElementById("presetCategoryList");
+const btnClosePreset = document.getElementById("btnClosePreset");
+const btnPresetCancel = document.getElementById("btnPresetCancel");
+const btnPresetConfirm = document.getElementById("btnPresetConfirm");
+
+/* PNG export DOM */
+const exportModal = document.getElementById("exportModal");
+const exportAspect = document.getElementById("exportAspect");
+const exportScale = document.getElementById("exportScale");
+const exportWidth = document.getElementById("exportWidth");
+const exportHeight = document.getElementById("exportHeight");
+const exportSizeInfo = document.getElementById("exportSizeInfo");
+const exportHideList = document.getElementById("exportHideList");
+const togExportTransparent = document.getElementById("togExportTransparent");
+const togExportFrame = document.getElementById("togExportFrame");
+const btnCloseExport = document.getElementById("btnCloseExport");
+const btnExportCancel = document.getElementById("btnExportCancel");
+const btnExportConfirm = document.getElementById("btnExportConfirm");
+
+/* Timeline DOM */
+const timelineTrack = document.getElementById("timelineTrack");
+const timelineScrub = document.getElementById("timelineScrub");
+const timelineFrame = document.getElementById("timelineFrame");
+const timelineFps = document.getElementById("timelineFps");
+const timelineLength = document.getElementById("timelineLength");
+const btnTimelinePlay = document.getElementById("btnTimelinePlay");
+const btnTimelineKey = document.getElementById("btnTimelineKey");
+const btnTimelineDeleteKey = document.getElementById("btnTimelineDeleteKey");
+const btnTimelineCopyKey = document.getElementById("btnTimelineCopyKey");
+const btnTimelinePasteKey = document.getElementById("btnTimelinePasteKey");
+const btnTimelineSave = document.getElementById("btnTimelineSave");
+const btnTimelineLoad = document.getElementById("btnTimelineLoad");
+const fileAnimation = document.getElementById("fileAnimation");
+
+/* Onion skin DOM */
+const onionSource = document.getElementById("onionSource");
+const onionCount = document.getElementById("onionCount");
+const onionGalleryRow = document.getElementById("onionGalleryRow");
+const onionGalleryItem = document.getElementById("onionGalleryItem");
+const onionOpacity = document.getElementById("onionOpacity");
+const onionTintBefore = document.getElementById("onionTintBefore");
+const onionTintAfter = document.getElementById("onionTintAfter");
 
 /* ---------------------------- Helpers ---------------------------- */
 const showToast = makeToast(toastEl);
 
+/** Camera view shortcuts by key code (Shift picks the second view, e.g. Shift+6 = back). */
+const CAMERA_VIEW_KEYS = {
+  Digit6: ["front", "back"],
+  Digit7: ["right", "left"],
+  Digit8: ["top", "top"],
+  Digit9: ["threeQuarter", "threeQuarter"]
+};
+
+function isTextField(el) {
+  const tag = String(el?.tagName || "").toLowerCase();
+  if (tag === "textarea" || tag === "select" || el?.isContentEditable) return true;
+  if (tag !== "input") return false;
+  return !["checkbox", "radio", "range", "button", "color", "file"].includes(String(el.type || "").toLowerCase());
+}
+
 function fatal(err) {
   if (errorText) errorText.textContent = String(err?.stack || err);
   if (errorOverlay) errorOverlay.classList.remove("hidden");
@@ -101,14 +273,12 @@ function downloadJson(filename, dataObj) {
   URL.revokeObjectURL(a.href);
 }
 
-function exportPNG(renderer, scene, camera) {
-  renderer.render(scene, camera);
-  const url = renderer.domElement.toDataURL("image/png");
+function downloadBlob(filename, blob) {
   const a = document.createElement("a");
-  a.href = url;
-  a.download = "pose.png";
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
   a.click();
-  showToast("Exported PNG");
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
 }
 
 /* ---------------------------- Boot ---------------------------- */
@@ -143,14 +313,19 @@ try {
 
   const {
     scene,
-    camera,
+    camera: sceneCamera,
     orbit,
     gizmo,
     axesHelper,
     gridHelper,
-    outline: engineOutline
+    outline: engineOutline,
+    floor,
+    lights
   } = sceneBundle;
 
+  // active viewport camera (perspective, or the rig's orthographic one; see Camera below)
+  let camera = sceneCamera;
+
   // Background selector initial
   setBackgroundTone(scene, bgTone?.value || "midnight");
 
@@ -170,6 +345,32 @@ try {
   world.root = built.root;
   world.joints = built.joints;
 
+  /* Outliner (joint tree + props; selection/history are only used from its callbacks) */
+  const outliner = new OutlinerUI({
+    containerEl: outlinerTree,
+    world,
+    getSelection: () => selection.getSelection(),
+    getActive: () => selection.getSelected(),
+    onSelect: (obj, { toggle }) => {
+      if (STATE.mode === "ik") modes.setMode("rotate"); // IK mode owns the gizmo
+      if (toggle) selection.toggleSelection(obj);
+      else selection.setSelection(obj);
+    },
+    renameProp: (obj, name) =>
+      history.record("Rename prop", () => {
+        obj.name = name;
+      }),
+    onVisibilityChange: (obj) => {
+      // hidden objects can't stay selected (the gizmo would move something you can't see)
+      const all = selection.getSelection();
+      const shown = all.filter((o) => outliner.isShown(o));
+      if (shown.length !== all.length) selection.setSelectionSet(shown, selection.getSelected());
+      showToast(`${obj.name || "Object"}: ${obj.visible ? "shown" : "hidden"}`);
+    },
+    onLockChange: (obj) => showToast(`${obj.name || "Object"}: ${obj.userData.locked ? "locked" : "unlocked"}`),
+    showToast
+  });
+
   /* Selection controller (we’ll route events via InputManager) */
   const selection = new SelectionController({
     canvas,
@@ -184,6 +385,11 @@ try {
     helpModal,
     getMode: () => STATE.mode,
     getShowOutline: () => STATE.showOutline,
+    getLinked: (obj) => modes.getSymmetryPartner(obj),
+    getPivotMode: () => STATE.pivot,
+    constrainPivot: (pivot) => modes.applyUniformScale(pivot),
+    onChange: () => outliner.syncSelection(),
+    onGroupChange: (objs) => limitGroupJoints(objs),
     toast: showToast
   });
 
@@ -195,28 +401,189 @@ try {
   // IMPORTANT: we do NOT want SelectionController to bind window events (we use InputManager)
   selection.destroy();
 
+  // first fill of the outliner (later renders come from history changes)
+  outliner.render();
+
+  /* Drag select (box/lasso on empty space; fed by InputManager below) */
+  const marquee = new MarqueeSelect({
+    canvas,
+    camera,
+    gizmo,
+    world,
+    getMode: () => STATE.mode,
+    getShape: () => STATE.marqueeShape,
+    getFilter: () => STATE.marqueeFilter,
+    onSelect: (objs, { additive }) => {
+      const next = additive ? [...selection.getSelection(), ...objs] : objs;
+      if (!next.length) {
+        selection.clearSelection();
+        return;
+      }
+      selection.setSelectionSet(next);
+      showToast(`${next.length} selected`);
+    }
+  });
+
+  /* Camera (view presets, perspective/ortho, lens, bookmarks saved with the pose) */
+  const cameraRig = createCameraRig({
+    camera: sceneCamera,
+    orbit,
+    onCameraChange: (cam) => {
+      camera = cam;
+      gizmo.camera = cam;
+      selection.camera = cam;
+      marquee.camera = cam;
+      selection.updateOutline();
+    }
+  });
+
+  const cameraViews = new CameraViewsUI({
+    rig: cameraRig,
+    viewsEl: camViews,
+    projectionBtn: camProjection,
+    fovEl: camFov,
+    focalEl: camFocal,
+    bookmarksEl: camBookmarks,
+    btnSaveEl: btnCamSave,
+    btnGoEl: btnCamGo,
+    btnDeleteEl: btnCamDelete,
+    showToast
+  });
+  cameraViews.init();
+
+  // Focus (F / button) moves the camera: stop a running view transition, keep ortho framing in step
+  const _focusSelection = selection.focusSelection.bind(selection);
+  selection.focusSelection = () => {
+    cameraRig.cancelTransition();
+    _focusSelection();
+    cameraRig.matchOrthoToDistance();
+  };
+
+  /* IK controller (two-bone arms/legs, used in IK mode) */
+  const ik = new IKController({
+    scene,
+    gizmo,
+    world,
+    pickFromPointer: (ev) => selection.pickFromPointer(ev),
+    toast: showToast,
+    onActivate: (chain) => {
+      if (selectionName) selectionName.value = chain ? `IK: ${chain.label}` : "None";
+    },
+    onSolve: () => selection.updateOutline()
+  });
+
+  /* History (undo/redo) — every pose/prop edit goes through history.record() or a gizmo drag */
+  function syncHistoryButtons() {
+    if (btnUndo) btnUndo.disabled = !history.canUndo();
+    if (btnRedo) btnRedo.disabled = !history.canRedo();
+  }
+
+  function afterHistoryRestore() {
+    // a restored snapshot may no longer contain some selected props
+    const all = selection.getSelection();
+    const kept = all.filter((o) => !o.userData?.isProp || world.props.includes(o));
+    if (kept.length !== all.length) selection.setSelectionSet(kept, selection.getSelected());
+    else selection.updateOutline();
+    ik.snapTargetToEffector();
+  }
+
+  const history = createHistory({
+    capture: () => captureWorldSnapshot(world),
+    restore: (snap) => {
+      restoreWorldSnapshot(world, scene, snap);
+      afterHistoryRestore();
+    },
+    isEqual: worldSnapshotsEqual,
+    limit: 100,
+    onChange: () => {
+      syncHistoryButtons();
+      outliner.render(); // props added/removed/renamed
+      // keep the IK target on the hand/foot after any recorded edit (incl. an IK drag that overshot)
+      if (!gizmo?.dragging) ik.snapTargetToEffector();
+    }
+  });
+  syncHistoryButtons();
+
+  function undo() {
+    if (gizmo?.dragging) return;
+    const label = history.undo();
+    showToast(label ? `Undo: ${label}` : "Nothing to undo");
+  }
+
+  function redo() {
+    if (gizmo?.dragging) return;
+    const label = history.redo();
+    showToast(label ? `Redo: ${label}` : "Nothing to redo");
+  }
+
   /* Modes controller (UI + gizmo/orbit + snap/axis) */
   const modes = new ModesController({
     modeRotateBtn: modeRotate,
     modeMoveBtn: modeMove,
+    modeScaleBtn: modeScale,
     modeOrbitBtn: modeOrbit,
+    modeIkBtn: modeIk,
     axisXBtn: axisX,
     axisYBtn: axisY,
     axisZBtn: axisZ,
     rotateSnapSelect: rotateSnap,
+    moveSnapSelect: moveSnap,
+    scaleSnapSelect: scaleSnap,
+    uniformScaleToggle: togUniformScale,
+    spaceBtn: gizmoSpace,
+    symmetrySelect: symmetryMode,
     orbit,
     gizmo,
-    toast: showToast
+    toast: showToast,
+    onDragStart: (mode) =>
+      history.begin(mode === "move" ? "Move" : mode === "scale" ? "Scale" : mode === "ik" ? "IK" : "Rotate"),
+    onDragEnd: () => history.commit(),
+    findJoint: (name) => world.joints.find((j) => j.name === name) || null
   });
 
   // Sync ModesController state -> core STATE (so other modules read consistent values)
   const _setMode = modes.setMode.bind(modes);
   modes.setMode = (m) => {
+    const prev = STATE.mode;
     _setMode(m);
     STATE.mode = modes.state.mode;
+
+    // IK mode owns the gizmo (it drags the IK target, not the selection)
+    if (STATE.mode === "ik" && prev !== "ik") selection.setSelection(null);
+    if (STATE.mode !== "ik") ik.deactivate();
+    if (STATE.mode !== prev && STATE.mode !== "ik") selection.refreshGizmo(); // scale mode: props only
+    if (gizmo.object?.isLight && STATE.mode !== "move") gizmo.detach(); // lights only move
     return STATE.mode;
   };
 
+  const _setSpace = modes.setSpace.bind(modes);
+  modes.setSpace = (space) => {
+    _setSpace(space);
+    setSpace(STATE, modes.state.space);
+    return STATE.space;
+  };
+
+  const _setSnapMove = modes.setSnapMove.bind(modes);
+  modes.setSnapMove = (step) => {
+    _setSnapMove(step);
+    setSnapMove(STATE, modes.state.snapMove);
+    return STATE.snapMove;
+  };
+
+  const _setSnapScale = modes.setSnapScale.bind(modes);
+  modes.setSnapScale = (step) => {
+    _setSnapScale(step);
+    setSnapScale(STATE, modes.state.snapScale);
+    return STATE.snapScale;
+  };
+
+  const _setUniformScale = modes.setUniformScale.bind(modes);
+  modes.setUniformScale = (on) => {
+    _setUniformScale(on);
+    setUniformScale(STATE, modes.state.uniformScale);
+    return STATE.uniformScale;
+  };
+
   const _toggleAxis = modes.toggleAxis.bind(modes);
   modes.toggleAxis = (k) => {
     const v = _toggleAxis(k);
@@ -233,10 +600,142 @@ try {
     return v;
   };
 
+  const _setSymmetry = modes.setSymmetry.bind(modes);
+  modes.setSymmetry = (m) => {
+    _setSymmetry(m);
+    STATE.symmetry = modes.state.symmetry;
+    selection.updateOutline();
+    return STATE.symmetry;
+  };
+
   // Initialize state from UI
   STATE.mode = modes.state.mode;
   STATE.axis = { ...modes.state.axis };
   STATE.snapDeg = modes.state.snapDeg;
+  setSpace(STATE, modes.state.space);
+  setSnapMove(STATE, modes.state.snapMove);
+  setSnapScale(STATE, modes.state.snapScale);
+  setUniformScale(STATE, modes.state.uniformScale);
+  STATE.symmetry = modes.state.symmetry;
+  if (togLimits) setConstraintsEnabled(STATE, !!togLimits.checked);
+  if (limitsOnLoad) setConstraintsOnLoad(STATE, limitsOnLoad.value);
+  if (pivotMode) setPivot(STATE, pivotMode.value);
+  if (marqueeShape) setMarqueeShape(STATE, marqueeShape.value);
+  if (marqueeFilter) setMarqueeFilter(STATE, marqueeFilter.value);
+
+  // Gizmo edits on joints: joint limits first, then live symmetry onto the partner (limited too)
+  gizmo.addEventListener("objectChange", () => {
+    const obj = gizmo.object;
+    if (!obj?.userData?.isJoint) return;
+
+    const limit = STATE.constraintsEnabled && STATE.mode === "rotate";
+    if (limit) clampJointRotation(obj);
+
+    const partner = modes.applySymmetry(obj);
+    if (partner && limit) clampJointRotation(partner);
+  });
+
+  // Group drags (multi-selection): same limits + symmetry per joint, unless the partner is selected too
+  function limitGroupJoints(objs) {
+    const limit = STATE.constraintsEnabled && STATE.mode === "rotate";
+    objs.forEach((obj) => {
+      if (!obj?.userData?.isJoint) return;
+      if (limit) clampJointRotation(obj);
+
+      if (objs.includes(modes.getSymmetryPartner(obj))) return;
+      const partner = modes.applySymmetry(obj);
+      if (partner && limit) clampJointRotation(partner);
+    });
+  }
+
+  /* Lighting (rig from engine/scene.js; saved with the pose, not part of undo) */
+  const lightingUI = new LightingUI({
+    rig: lights,
+    presetEl: lightPreset,
+    listEl: lightList,
+    btnAddPointEl: btnAddPointLight,
+    btnAddSpotEl: btnAddSpotLight,
+    helpersToggle: togLightHelpers,
+    onMoveLight: (light) => {
+      if (STATE.mode !== "move") modes.setMode("move");
+      selection.setSelection(null);
+      lights.setHelpersVisible(true);
+      gizmo.attach(light);
+      showToast(`Drag ${light.name} (Esc to stop)`);
+    },
+    onRigChange: () => detachRemovedLight(),
+    showToast
+  });
+  lightingUI.init();
+
+  // the gizmo may still hold a light that a preset / pose load / remove just replaced
+  function detachRemovedLight() {
+    const obj = gizmo.object;
+    if (obj?.isLight && !lights.getLights().some((l) => l.light === obj)) gizmo.detach();
+  }
+
+  gizmo.addEventListener("objectChange", () => {
+    if (gizmo.object?.isLight) lights.markCustom();
+  });
+
+  /* Inspector (exact values for the active object; one undo step per typed value / scrub) */
+  const inspector = new InspectorUI({
+    containerEl: inspectorFields,
+    orderEl: inspectorOrder,
+    emptyEl: inspectorEmpty,
+    getActive: () => (STATE.mode === "ik" ? null : selection.getSelected()),
+    recordEdit: (label, fn) => history.record(label, fn),
+    beginEdit: (label) => history.begin(label),
+    endEdit: () => history.commit(),
+    onEdit: (obj) => {
+      // same rules as a gizmo drag: joint limits, then live symmetry
+      if (obj?.userData?.isJoint) {
+        if (STATE.constraintsEnabled) clampJointRotation(obj);
+        const partner = modes.applySymmetry(obj);
+        if (partner && STATE.constraintsEnabled) clampJointRotation(partner);
+      }
+      selection.updateOutline();
+    }
+  });
+  inspector.init();
+
+  /* PNG export (offscreen render at any size; crop frame over the viewport) */
+  const exportHideable = {
+    gizmo: () => [gizmo, ik.target],
+    outline: () => [selection.outline, selection.linkedOutline, selection.groupOutline, selection.hoverOutline],
+    lightHelpers: () => lights.getHelpers(),
+    grid: () => [gridHelper],
+    axes: () => [axesHelper],
+    floor: () => [floor],
+    onion: () => [onion.group] // created further down; only resolved at export time
+  };
+
+  const exportDialog = new ExportDialogUI({
+    exporter: createImageExporter({ renderer, scene }),
+    canvas,
+    getCamera: () => camera,
+    getPixelRatio: () => renderer.getPixelRatio(),
+    getHideable: (key) => exportHideable[key]?.() || [],
+    modalEl: exportModal,
+    aspectEl: exportAspect,
+    scaleEl: exportScale,
+    widthEl: exportWidth,
+    heightEl: exportHeight,
+    transparentToggle: togExportTransparent,
+    frameToggle: togExportFrame,
+    hideListEl: exportHideList,
+    sizeInfoEl: exportSizeInfo,
+    btnExportEl: btnExportConfirm,
+    btnCancelEl: btnExportCancel,
+    btnCloseEl: btnCloseExport,
+    onExport: (blob, { width, height }) => downloadBlob(`pose_${width}x${height}.png`, blob),
+    showToast
+  });
+  exportDialog.init();
+
+  function clampJointsOnLoad() {
+    return STATE.constraintsEnabled && STATE.constraintsOnLoad === "clamp" ? clampAllJoints : null;
+  }
 
   /* ---------------------------- Props ---------------------------- */
 
@@ -295,19 +794,36 @@ try {
   }
 
   function deleteSelectedProp() {
-    const sel = selection.getSelected();
-    if (!sel || !sel.userData?.isProp) {
+    const props = selection.getSelection().filter((o) => o?.userData?.isProp);
+    if (!props.length) {
       showToast("Select a prop to delete");
       return;
     }
-    removePropWorld(world, scene, sel);
-    selection.clearSelection();
-    showToast("Prop deleted");
+    const label = props.length > 1 ? `Delete ${props.length} props` : "Delete prop";
+    history.record(label, () => props.forEach((p) => removePropWorld(world, scene, p)));
+
+    // joints stay selected
+    const rest = selection.getSelection().filter((o) => !props.includes(o));
+    if (rest.length) selection.setSelectionSet(rest);
+    else selection.clearSelection();
+    showToast(props.length > 1 ? `${props.length} props deleted` : "Prop deleted");
+  }
+
+  function scatterProps() {
+    // Scatter a few random props; if you want only cube/sphere, replace list with ["cube","sphere"]
+    const types = PROP_TYPES.length ? PROP_TYPES : ["cube", "sphere"];
+    history.record("Scatter", () => {
+      for (let i = 0; i < 5; i++) {
+        const t = types[Math.floor(Math.random() * types.length)];
+        spawnProp(t);
+      }
+    });
+    showToast("Scattered props");
   }
 
   /* Hook prop UI (cube/sphere and any future buttons that exist in HTML) */
   bindPropButtons({
-    addProp: (type) => spawnProp(type),
+    addProp: (type) => history.record(`Add ${type}`, () => spawnProp(type)),
     selectObject: (obj) => selection.setSelection(obj),
     showToast
   });
@@ -315,7 +831,12 @@ try {
   /* ---------------------------- Pose I/O ---------------------------- */
 
   function serializePoseForGallery() {
-    return serializePose({ world, poseNotesEl: poseNotes });
+    return serializePose({
+      world,
+      poseNotesEl: poseNotes,
+      cameras: cameraViews.getBookmarks(),
+      lighting: lights.getState()
+    });
   }
 
   function resetAllJointRotations() {
@@ -329,49 +850,193 @@ try {
   }
 
   function applyPoseToScene(data) {
-    return applyPose(data, {
+    return history.record("Load pose", () => applyPose(data, {
       world,
       scene,
       poseNotesEl: poseNotes,
       addProp: (type) => spawnProp(type),
+      applyCameras: (list) => cameraViews.setBookmarks(list),
+      applyLighting: (state) => {
+        lights.setState(state);
+        lightingUI.refreshAll();
+        detachRemovedLight();
+      },
       showToast,
       updateOutline: () => selection.updateOutline(),
-      forceRenderOnce
-    });
+      forceRenderOnce,
+      clampJoints: clampJointsOnLoad()
+    }));
   }
 
   function applyPoseJointsOnlyToScene(data) {
-    return applyPoseJointsOnly(data, {
+    return history.record("Apply preset", () => applyPoseJointsOnly(data, {
       world,
       resetAllJointRotations,
       showToast,
       updateOutline: () => selection.updateOutline(),
-      forceRenderOnce
-    });
+      forceRenderOnce,
+      clampJoints: clampJointsOnLoad()
+    }));
   }
 
   function resetPose() {
-    resetAllJointRotations();
+    history.record("Reset pose", () => resetAllJointRotations());
     selection.updateOutline();
     showToast("Pose reset");
   }
 
   function randomPose() {
     const names = new Set(["l_shoulder", "r_shoulder", "l_elbow", "r_elbow", "neck", "chest"]);
-    world.joints.forEach((j) => {
-      if (!names.has(j.name)) return;
-      j.rotation.x = (Math.random() - 0.5) * 0.9;
-      j.rotation.y = (Math.random() - 0.5) * 0.9;
-      j.rotation.z = (Math.random() - 0.5) * 0.9;
+    history.record("Random pose", () => {
+      world.joints.forEach((j) => {
+        if (!names.has(j.name)) return;
+        // with limits on, stay inside the anatomical range (no backwards elbows)
+        if (STATE.constraintsEnabled) {
+          randomizeJointRotation(j, 26);
+          return;
+        }
+        j.rotation.x = (Math.random() - 0.5) * 0.9;
+        j.rotation.y = (Math.random() - 0.5) * 0.9;
+        j.rotation.z = (Math.random() - 0.5) * 0.9;
+      });
     });
     selection.updateOutline();
     showToast("Random pose");
   }
 
+  /**
+   * Mirror the live pose (joints; "flip" also mirrors props).
+   * @param {"l2r"|"r2l"|"flip"} mode
+   */
+  function mirrorScenePose(mode) {
+    const label = mode === "l2r" ? "Mirror L→R" : mode === "r2l" ? "Mirror R→L" : "Flip pose";
+
+    history.record(label, () => {
+      const mirrored = mirrorPose(serializePoseForGallery(), mode);
+
+      world.joints.forEach((j) => {
+        const q = mirrored.joints[j.name];
+        if (Array.isArray(q) && q.length === 4) j.quaternion.fromArray(q);
+      });
+
+      // props come back in world.props order (see serializePose)
+      if (mode === "flip") {
+        world.props.forEach((p, i) => {
+          const pd = mirrored.props?.[i];
+          if (!pd) return;
+          p.position.fromArray(pd.position);
+          p.quaternion.fromArray(pd.quaternion);
+        });
+      }
+    });
+
+    selection.updateOutline();
+    showToast(label);
+  }
+
+  /* ---------------------------- Pose validation + report ---------------------------- */
+
+  function poseValidateOptions() {
+    return { knownJoints: world.joints.map((j) => j.name), propTypes: PROP_TYPES };
+  }
+
+  /**
+   * Show which files/items (and which fields) were rejected or fixed.
+   * @param {string} title
+   * @param {{ name:string, report:{ ok:boolean, errors:any[], warnings:any[] } }[]} entries
+   */
+  function showImportReport(title, entries) {
+    if (!reportModal || !reportBody || !entries?.length) return;
+
+    if (reportTitle) reportTitle.textContent = title;
+    reportBody.innerHTML = "";
+
+    entries.forEach(({ name, report }) => {
+      const item = document.createElement("div");
+      item.className = "report__item";
+
+      const head = document.createElement("div");
+      head.className = "report__name";
+      head.textContent = `${name} — ${report.ok ? "loaded with fixes" : "rejected"}`;
+
+      const list = document.createElement("ul");
+      list.className = "help";
+      formatPoseReport(report).forEach((line) => {
+        const li = document.createElement("li");
+        li.textContent = line;
+        list.appendChild(li);
+      });
+
+      item.appendChild(head);
+      item.appendChild(list);
+      reportBody.appendChild(item);
+    });
+
+    reportModal.classList.remove("hidden");
+    btnReportOk?.focus?.();
+  }
+
+  function closeImportReport() {
+    reportModal?.classList?.add?.("hidden");
+  }
+
+  /* ---------------------------- Onion skin ---------------------------- */
+  const onion = new OnionSkin({
+    THREE,
+    scene,
+    count: Number(onionCount?.value) || 1,
+    opacity: Number(onionOpacity?.value) || 0.3,
+    tintBefore: onionTintBefore?.value,
+    tintAfter: onionTintAfter?.value
+  });
+
+  // Reads the timeline/gallery created below: only call it once both exist
+  // (the gallery onChange hook only refreshes in "gallery" mode).
+  function refreshOnionSkin() {
+    const source = onionSource?.value || "off";
+    onionGalleryRow?.classList?.toggle?.("hidden", source !== "gallery");
+
+    if (source === "animation") {
+      const { prev, next } = getNeighbourKeys(timeline.getAnimation(), timeline.getFrame());
+      onion.setPoses({ before: prev.map((k) => k.pose), after: next.map((k) => k.pose) });
+      return;
+    }
+
+    if (source === "gallery") {
+      const it = gallery.items.find((x) => x.id === onionGalleryItem?.value);
+      onion.setPoses({ before: it ? [it.pose] : [] });
+      return;
+    }
+
+    onion.clear();
+  }
+
+  function fillOnionGalleryOptions(items) {
+    if (!onionGalleryItem) return;
+    const prev = onionGalleryItem.value;
+    onionGalleryItem.innerHTML = "";
+
+    if (!items.length) {
+      const opt = document.createElement("option");
+      opt.value = "";
+      opt.textContent = "(gallery is empty)";
+      onionGalleryItem.appendChild(opt);
+    }
+    items.forEach((it) => {
+      const opt = document.createElement("option");
+      opt.value = it.id;
+      opt.textContent = it.name || "Untitled pose";
+      onionGalleryItem.appendChild(opt);
+    });
+
+    if (items.some((it) => it.id === prev)) onionGalleryItem.value = prev;
+  }
+
   /* ---------------------------- Gallery ---------------------------- */
 
   function captureThumbnail(size = 256) {
-    renderer.render(scene, camera);
+    // ghosts would end up in the thumbnail
+    onion.hideWhile(() => renderer.render(scene, camera));
 
     const src = renderer.domElement;
     const thumb = document.createElement("canvas");
@@ -399,33 +1064,225 @@ try {
   }
 
   const gallery = new Gallery({
-    key: "pose_sandbox_gallery_v1",
-    maxItems: 30,
+    key: "pose_sandbox_gallery_v1", // migrated into IndexedDB once; still used if IndexedDB is unavailable
+    maxItems: 30, // cap for the localStorage fallback only
     serializePose: serializePoseForGallery,
     applyPose: (poseObj) => applyPoseToScene(poseObj),
     captureThumbnail,
     showToast,
     niceTime,
     poseNotesEl: poseNotes,
-    containerEl: poseGallery
+    containerEl: poseGallery,
+    usageEl: galleryUsage,
+    folderEl: galleryFolder,
+    validatePose: (poseObj) => validatePose(poseObj, poseValidateOptions()),
+    onLoadReport: (entries) => showImportReport("Gallery check", entries),
+    onChange: (items) => {
+      fillOnionGalleryOptions(items);
+      if (onionSource?.value === "gallery") refreshOnionSkin();
+    }
   });
 
-  gallery.loadFromStorage();
   gallery.render();
+  gallery.loadFromStorage().then(() => gallery.render());
+
+  /* ---------------------------- Gallery archive (zip) ---------------------------- */
+
+  /**
+   * Ask once per import what to do with poses that are already in the gallery.
+   * @param {{ incoming:Object, existing:Object }[]} dups
+   * @returns {Promise<"skip"|"replace"|"keep"|null>} null = cancel the import
+   */
+  function askDuplicateAction(dups) {
+    if (!dupModal) return Promise.resolve("skip");
+
+    const names = dups.slice(0, 5).map((d) => `“${d.existing.name || "Untitled pose"}”`).join(", ");
+    const more = dups.length > 5 ? ` and ${dups.length - 5} more` : "";
+    if (dupText) {
+      dupText.textContent = `${dups.length} pose${dups.length > 1 ? "s" : ""} in this archive already exist${
+        dups.length > 1 ? "" : "s"
+      } in your gallery (${names}${more}).`;
+    }
+    dupModal.classList.remove("hidden");
+    btnDupKeep?.focus?.();
+
+    return new Promise((resolve) => {
+      const done = (action) => {
+        dupModal.classList.add("hidden");
+        btnDupSkip?.removeEventListener("click", onSkip);
+        btnDupReplace?.removeEventListener("click", onReplace);
+        btnDupKeep?.removeEventListener("click", onKeep);
+        btnCloseDup?.removeEventListener("click", onCancel);
+        dupModal.removeEventListener("click", onBackdrop);
+        resolve(action);
+      };
+      const onSkip = () => done("skip");
+      const onReplace = () => done("replace");
+      const onKeep = () => done("keep");
+      const onCancel = () => done(null);
+      const onBackdrop = (e) => {
+        if (e.target?.dataset?.close === "true") done(null);
+      };
+
+      btnDupSkip?.addEventListener("click", onSkip);
+      btnDupReplace?.addEventListener("click", onReplace);
+      btnDupKeep?.addEventListener("click", onKeep);
+      btnCloseDup?.addEventListener("click", onCancel);
+      dupModal.addEventListener("click", onBackdrop);
+    });
+  }
+
+  async function exportGalleryZip() {
+    try {
+      const blob = await gallery.exportArchive();
+      if (!blob) return;
+      downloadBlob(`pose-gallery-${new Date().toISOString().slice(0, 10)}.zip`, blob);
+      showToast(`Exported ${gallery.items.length} pose${gallery.items.length === 1 ? "" : "s"}`);
+    } catch (err) {
+      console.warn(err);
+      showToast("Gallery export failed", 1800);
+    }
+  }
+
+  async function importGalleryZip(file) {
+    if (!file) return;
+    const res = await gallery.importArchive(file, { resolveDuplicates: askDuplicateAction });
+
+    if (res.entries.length) showImportReport("Gallery import report", res.entries);
+    if (res.error === "cancelled") {
+      showToast("Import cancelled");
+      return;
+    }
+    if (res.error) {
+      showToast(`Import failed (${res.error})`, 2200);
+      return;
+    }
+
+    const parts = [`${res.added} added`];
+    if (res.replaced) parts.push(`${res.replaced} replaced`);
+    if (res.skipped) parts.push(`${res.skipped} skipped`);
+    showToast(`Gallery import: ${parts.join(", ")}`, 2200);
+  }
 
   /* ---------------------------- Presets ---------------------------- */
+
+  /**
+   * Name + category for "Save as preset".
+   * @param {{ name:string, category:string, categories:string[] }} defaults
+   * @returns {Promise<{ name:string, category:string }|null>} null = cancelled
+   */
+  function askPresetInfo({ name, category, categories }) {
+    if (!presetModal) {
+      const next = prompt("Preset name:", name);
+      return Promise.resolve(next == null ? null : { name: next, category });
+    }
+
+    presetName.value = name;
+    presetCategory.value = category;
+    if (presetCategoryList) {
+      presetCategoryList.innerHTML = "";
+      categories.forEach((c) => {
+        const opt = document.createElement("option");
+        opt.value = c;
+        presetCategoryList.appendChild(opt);
+      });
+    }
+    presetModal.classList.remove("hidden");
+    presetName.focus();
+    presetName.select();
+
+    return new Promise((resolve) => {
+      const done = (result) => {
+        presetModal.classList.add("hidden");
+        btnPresetConfirm?.removeEventListener("click", onConfirm);
+        btnPresetCancel?.removeEventListener("click", onCancel);
+        btnClosePreset?.removeEventListener("click", onCancel);
+        presetModal.removeEventListener("click", onBackdrop);
+        presetModal.removeEventListener("keydown", onKey);
+        resolve(result);
+      };
+      const onConfirm = () => done({ name: presetName.value, category: presetCategory.value });
+      const onCancel = () => done(null);
+      const onBackdrop = (e) => {
+        if (e.target?.dataset?.close === "true") done(null);
+      };
+      const onKey = (e) => {
+        if (e.key === "Enter") onConfirm();
+      };
+
+      btnPresetConfirm?.addEventListener("click", onConfirm);
+      btnPresetCancel?.addEventListener("click", onCancel);
+      btnClosePreset?.addEventListener("click", onCancel);
+      presetModal.addEventListener("click", onBackdrop);
+      presetModal.addEventListener("keydown", onKey);
+    });
+  }
+
   const presetsUI = new PresetsUI({
     containerEl: presetGallery,
     btnApplyEl: btnPresetApply,
     btnSaveEl: btnPresetSave,
-    presets: createPresets(),
+    btnImportEl: btnPresetImport,
+    btnRemovePackEl: btnPresetRemovePack,
+    fileImportEl: filePresetPack,
+    btnSaveAsEl: btnPresetSaveAs,
+    btnRenameEl: btnPresetRename,
+    btnDeleteEl: btnPresetDelete,
+    btnMoveUpEl: btnPresetUp,
+    btnMoveDownEl: btnPresetDown,
+    packIndexUrl: "./presets/packs.json", // inline createPresets() is the fallback
+    validatePose: (poseObj) => validatePose(poseObj, poseValidateOptions()),
+    onReport: (entries) => showImportReport("Preset pack report", entries),
     applyPoseJointsOnly: (poseObj) => applyPoseJointsOnlyToScene(poseObj),
     saveToGallery: ({ name = "", withToast = true } = {}) => gallery.saveCurrentPoseToGallery({ name, withToast }),
+    serializePose: serializePoseForGallery,
+    askPresetInfo,
+    thumbnailer: createPoseThumbnailer({ makeMaterial }), // own renderer + hidden character
     showToast,
     applyOnClick: true
   });
   presetsUI.init();
 
+  /* ---------------------------- Animation timeline ---------------------------- */
+  // Scrubbing/playback only writes joint + prop transforms (no history steps, no prop rebuilds).
+  const timeline = new TimelineUI({
+    trackEl: timelineTrack,
+    scrubEl: timelineScrub,
+    frameEl: timelineFrame,
+    fpsEl: timelineFps,
+    lengthEl: timelineLength,
+    btnPlayEl: btnTimelinePlay,
+    btnKeyEl: btnTimelineKey,
+    btnDeleteKeyEl: btnTimelineDeleteKey,
+    btnCopyKeyEl: btnTimelineCopyKey,
+    btnPasteKeyEl: btnTimelinePasteKey,
+    btnSaveEl: btnTimelineSave,
+    btnLoadEl: btnTimelineLoad,
+    fileEl: fileAnimation,
+    capturePose: serializePoseForGallery,
+    applyPose: (poseObj) => {
+      applySampledPose(world, poseObj);
+      selection.updateOutline();
+      ik.snapTargetToEffector();
+    },
+    validatePose: (poseObj) => validatePose(poseObj, poseValidateOptions()),
+    downloadJson,
+    showToast,
+    onReport: (entries) => showImportReport("Animation report", entries),
+    onChange: () => {
+      if (onionSource?.value === "animation") refreshOnionSkin();
+    }
+  });
+  timeline.init();
+
+  onionSource?.addEventListener("change", refreshOnionSkin);
+  onionGalleryItem?.addEventListener("change", refreshOnionSkin);
+  onionCount?.addEventListener("change", () => onion.setCount(onionCount.value));
+  onionOpacity?.addEventListener("input", () => onion.setOpacity(onionOpacity.value));
+  onionTintBefore?.addEventListener("input", () => onion.setTints({ before: onionTintBefore.value }));
+  onionTintAfter?.addEventListener("input", () => onion.setTints({ after: onionTintAfter.value }));
+  refreshOnionSkin();
+
   /* ---------------------------- Help modal ---------------------------- */
   function openHelp() {
     helpModal?.classList?.remove?.("hidden");
@@ -458,6 +1315,12 @@ try {
     if (e.target?.dataset?.close === "true") closeHelp();
   });
 
+  btnCloseReport?.addEventListener("click", closeImportReport);
+  btnReportOk?.addEventListener("click", closeImportReport);
+  reportModal?.addEventListener("click", (e) => {
+    if (e.target?.dataset?.close === "true") closeImportReport();
+  });
+
   /* ---------------------------- UI wiring ---------------------------- */
 
   // visual toggles
@@ -479,6 +1342,9 @@ try {
   // pose buttons
   btnResetPose?.addEventListener("click", resetPose);
   btnRandomPose?.addEventListener("click", randomPose);
+  btnMirrorL2R?.addEventListener("click", () => mirrorScenePose("l2r"));
+  btnMirrorR2L?.addEventListener("click", () => mirrorScenePose("r2l"));
+  btnFlipPose?.addEventListener("click", () => mirrorScenePose("flip"));
 
   // save json (download) + save thumbnail to gallery
   btnSavePose?.addEventListener("click", () => {
@@ -490,15 +1356,39 @@ try {
     showToast("Saved pose.json + gallery");
   });
 
-  // load json (single)
+  // load json (single file -> scene, several files -> gallery pack)
   btnLoadPose?.addEventListener("click", () => filePose?.click?.());
   filePose?.addEventListener("change", async (e) => {
-    const file = e.target?.files?.[0];
-    if (!file) return;
+    const files = Array.from(e.target?.files || []);
+    if (!files.length) return;
+
+    if (files.length > 1) {
+      await importPosePack(files, {
+        applyPose: (poseObj) => applyPoseToScene(poseObj),
+        saveToGallery: (opts) => gallery.saveCurrentPoseToGallery(opts),
+        addToGallery: (data) => gallery.addItem(data, { withToast: false }),
+        renderGallery: () => gallery.render(),
+        showToast,
+        validateOptions: poseValidateOptions(),
+        onReport: (entries) => showImportReport("Import report", entries)
+      });
+      filePose.value = "";
+      return;
+    }
+
+    const file = files[0];
     try {
       const text = await file.text();
       const data = JSON.parse(text);
-      applyPoseToScene(data);
+      const report = validatePose(data, poseValidateOptions());
+
+      if (!report.ok) {
+        showToast("Load failed (invalid pose)", 1800);
+        showImportReport("Load report", [{ name: file.name, report }]);
+      } else {
+        applyPoseToScene(report.pose);
+        if (report.warnings.length) showImportReport("Load report", [{ name: file.name, report }]);
+      }
     } catch (err) {
       console.warn(err);
       showToast("Load failed (invalid json)", 1800);
@@ -507,19 +1397,41 @@ try {
   });
 
   // export
-  btnExport?.addEventListener("click", () => exportPNG(renderer, scene, camera));
+  btnExport?.addEventListener("click", () => exportDialog.open());
 
   // props
   btnDelProp?.addEventListener("click", deleteSelectedProp);
 
-  btnScatter?.addEventListener("click", () => {
-    // Scatter a few random props; if you want only cube/sphere, replace list with ["cube","sphere"]
-    const types = PROP_TYPES.length ? PROP_TYPES : ["cube", "sphere"];
-    for (let i = 0; i < 5; i++) {
-      const t = types[Math.floor(Math.random() * types.length)];
-      spawnProp(t);
-    }
-    showToast("Scattered props");
+  btnScatter?.addEventListener("click", scatterProps);
+
+  // undo / redo
+  btnUndo?.addEventListener("click", undo);
+  btnRedo?.addEventListener("click", redo);
+
+  // joint limits
+  togLimits?.addEventListener("change", () => {
+    setConstraintsEnabled(STATE, !!togLimits.checked);
+    showToast(STATE.constraintsEnabled ? "Joint limits: ON" : "Joint limits: OFF");
+  });
+
+  limitsOnLoad?.addEventListener("change", () => {
+    setConstraintsOnLoad(STATE, limitsOnLoad.value);
+  });
+
+  // multi-selection pivot
+  pivotMode?.addEventListener("change", () => {
+    setPivot(STATE, pivotMode.value);
+    selection.updatePivot();
+  });
+
+  // drag select
+  marqueeShape?.addEventListener("change", () => setMarqueeShape(STATE, marqueeShape.value));
+  marqueeFilter?.addEventListener("change", () => setMarqueeFilter(STATE, marqueeFilter.value));
+
+  // IK bend direction (pole hint)
+  ikBend?.addEventListener("change", () => {
+    ik.setBendFlipped(ikBend.value === "reverse");
+    ik.solve();
   });
 
   // background tone
@@ -538,35 +1450,100 @@ try {
   btnRenamePose?.addEventListener("click", () => gallery.renameSelected());
   btnDeletePose?.addEventListener("click", () => gallery.deleteSelected());
   btnClearGallery?.addEventListener("click", () => gallery.clearAll());
+  btnExportGallery?.addEventListener("click", exportGalleryZip);
+  btnImportGallery?.addEventListener("click", () => fileGallery?.click?.());
+  fileGallery?.addEventListener("change", async () => {
+    await importGalleryZip(fileGallery.files?.[0]);
+    fileGallery.value = "";
+  });
+  gallerySearch?.addEventListener("input", () => gallery.setQuery(gallerySearch.value));
+  galleryFolder?.addEventListener("change", () => gallery.setFolder(galleryFolder.value));
+  gallerySort?.addEventListener("change", () => gallery.setSort(gallerySort.value));
 
   /* ---------------------------- Keyboard + pointer via InputManager ---------------------------- */
 
   input.on("pointerdown", (evt) => {
-    // SelectionController expects the real PointerEvent
-    selection.onPointerDown(evt.originalEvent);
+    // IK mode: clicks pick a limb chain instead of a joint
+    if (STATE.mode === "ik") {
+      ik.onPointerDown(evt.originalEvent);
+      return;
+    }
+
+    // dragging a light (attached from the Lighting panel): a handle press must not re-pick behind it
+    if (gizmo.object?.isLight && gizmo.axis) return;
+
+    // SelectionController expects the real PointerEvent; empty space may start a drag select
+    const hit = selection.onPointerDown(evt.originalEvent);
+    if (!hit) marquee.begin(evt.originalEvent);
+  });
+
+  input.on("pointermove", (evt) => {
+    marquee.move(evt.originalEvent);
+    selection.onPointerMove(evt.originalEvent);
   });
+  input.on("pointerleave", () => selection.clearHover());
+  input.on("pointerup", (evt) => marquee.end(evt.originalEvent));
+  input.on("pointercancel", () => marquee.cancel());
+  input.on("blur", () => marquee.cancel());
 
   input.on("keydown", (evt) => {
     const e = evt.originalEvent;
     const k = String(evt.keyLower || "").toLowerCase();
 
-    // Escape: close help first, else clear selection (match your old behavior)
+    // Escape: close help/report first, else clear selection (match your old behavior)
     if (e.key === "Escape") {
       if (helpModal && !helpModal.classList.contains("hidden")) {
         closeHelp();
         return;
       }
+      if (reportModal && !reportModal.classList.contains("hidden")) {
+        closeImportReport();
+        return;
+      }
+      if (dupModal && !dupModal.classList.contains("hidden")) {
+        btnCloseDup?.click?.(); // cancels the running gallery import
+        return;
+      }
+      if (presetModal && !presetModal.classList.contains("hidden")) {
+        btnClosePreset?.click?.();
+        return;
+      }
+      if (exportDialog.isOpen()) {
+        exportDialog.close();
+        return;
+      }
+      if (marquee.isActive()) {
+        marquee.cancel();
+        return;
+      }
+      ik.deactivate();
       selection.clearSelection();
       return;
     }
 
+    // Typing in a text field (notes, gallery search/tags, frame number…): keys belong to the field
+    if (isTextField(e.target) && !((e.ctrlKey || e.metaKey) && k === "s")) return;
+
     // Shortcuts: modes
-    if (k === "1" || k === "2" || k === "3") {
+    if (k === "1" || k === "2" || k === "3" || k === "4" || k === "5" || (k === "q" && !e.ctrlKey && !e.metaKey)) {
       modes.handleShortcut(k);
       // ensure STATE is synced (wrappers already sync)
       return;
     }
 
+    // Shortcuts: camera views (Shift = opposite side), O = perspective/orthographic
+    if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+      const views = CAMERA_VIEW_KEYS[e.code];
+      if (views) {
+        cameraViews.viewPreset(views[e.shiftKey ? 1 : 0]);
+        return;
+      }
+      if (k === "o") {
+        cameraViews.toggleProjection();
+        return;
+      }
+    }
+
     // Focus
     if (k === "f") {
       selection.focusSelection();
@@ -579,6 +1556,15 @@ try {
       return;
     }
 
+    // Ctrl/Cmd + Z => undo, Ctrl/Cmd + Shift + Z (or Ctrl + Y) => redo
+    // (text fields keep their native undo, see isTextField above)
+    if ((e.ctrlKey || e.metaKey) && (k === "z" || k === "y")) {
+      e.preventDefault();
+      if (k === "y" || e.shiftKey) redo();
+      else undo();
+      return;
+    }
+
     // Ctrl/Cmd + S => save to gallery (no download)
     if ((e.ctrlKey || e.metaKey) && k === "s") {
       e.preventDefault();
@@ -586,6 +1572,15 @@ try {
       return;
     }
 
+    // Timeline: K = key current pose, Space = play/pause (Space still presses a focused button)
+    if (!e.ctrlKey && !e.metaKey && (k === "k" || e.code === "Space")) {
+      if (e.code === "Space" && String(e.target?.tagName || "").toLowerCase() === "button") return;
+      e.preventDefault();
+      if (k === "k") timeline.keyCurrentPose();
+      else timeline.togglePlay();
+      return;
+    }
+
     // Let SelectionController keep its own small shortcuts (like F)
     selection.onKeyDown(e);
   });
@@ -593,8 +1588,11 @@ try {
   /* ---------------------------- Resize ---------------------------- */
   function onResize() {
     resizeToCanvas({
-      camera,
-      onAfterResize: () => selection.updateOutline()
+      onAfterResize: () => {
+        cameraRig.setAspect(canvas.clientWidth / canvas.clientHeight);
+        selection.updateOutline();
+        exportDialog.updateFrame();
+      }
     });
   }
 
@@ -612,10 +1610,21 @@ try {
     orbit,
     renderer,
     scene,
-    camera,
+    getCamera: () => camera,
     getSelected: () => selection.getSelected(),
     getShowOutline: () => STATE.showOutline,
     outline: selection.outline,
+    onFrame: (dtMs) => {
+      cameraRig.update();
+      cameraViews.sync();
+      lights.update();
+      lightingUI.sync();
+      timeline.tick(dtMs);
+      selection.updateLinkedOutline();
+      selection.updateGroupOutline();
+      selection.updateHover();
+      inspector.sync();
+    },
     perf: {
       enabled: () => !!STATE.perfEnabled,
       onFps: (fpsSmoothed) => {
@@ -1,6 +1,10 @@
 // character/Character.js
 // Builds the simple box-based character + exposes joints list for posing.
 // Extracted from your current working app.js buildCharacter()/namedGroup()/addBox() logic.
+//
+// Joint names are part of the pose JSON format: never rename existing ones.
+// Newer joints (spine_1/spine_2, wrists, hands, ankles, feet, fingers) are additive, so
+// older poses/presets simply leave them at rest.
 
 /**
  * @typedef {import("three")} THREE
@@ -88,22 +92,55 @@ export class Character {
     const hips = this._namedGroup("hips", 0, 0.9, 0);
     root.add(hips);
 
-    /* ===================== TORSO (shorter, tighter) ===================== */
+    /* ===================== TORSO (3 segments so the back can curve) ===================== */
+    // Same overall volume as the old single torso box (y 0.025 → 1.175 above hips).
     this._addBox(
       hips,
+      "pelvis_mesh",
+      0.96,   // width
+      0.34,   // height
+      0.55,
+      0,
+      0.2,    // center
+      0,
+      0xaab0c2
+    );
+
+    /* ===================== SPINE ===================== */
+    const spine1 = this._namedGroup("spine_1", 0, 0.38, 0);
+    hips.add(spine1);
+
+    this._addBox(
+      spine1,
+      "abdomen_mesh",
+      0.9,
+      0.36,
+      0.5,
+      0,
+      0.19,
+      0,
+      0xa3a9bc
+    );
+
+    const spine2 = this._namedGroup("spine_2", 0, 0.38, 0);
+    spine1.add(spine2);
+
+    this._addBox(
+      spine2,
       "torso_mesh",
-      1.0,    // width
-      1.15,   // height (shorter)
+      1.0,
+      0.4,
       0.55,
       0,
-      0.6,    // center
+      0.2,
       0,
       0xaab0c2
     );
 
     /* ===================== CHEST ===================== */
-    const chest = this._namedGroup("chest", 0, 1.15, 0);
-    hips.add(chest);
+    // world position unchanged: 0.38 + 0.38 + 0.39 = 1.15 above hips
+    const chest = this._namedGroup("chest", 0, 0.39, 0);
+    spine2.add(chest);
 
     /* ===================== NECK (lower & closer) ===================== */
     const neck = this._namedGroup("neck", 0, 0.1, 0);
@@ -187,6 +224,32 @@ export class Character {
       0x8c95ab
     );
 
+    /* ===================== WRISTS + HANDS ===================== */
+    const lWrist = this._namedGroup("l_wrist", 0, -0.76, 0);
+    const rWrist = this._namedGroup("r_wrist", 0, -0.76, 0);
+    lElbow.add(lWrist);
+    rElbow.add(rWrist);
+
+    this._addBox(lWrist, "l_hand_mesh", 0.1, 0.24, 0.2, 0, -0.12, 0, 0xb4b8c8);
+    this._addBox(rWrist, "r_hand_mesh", 0.1, 0.24, 0.2, 0, -0.12, 0, 0xb4b8c8);
+
+    /* ===================== FINGERS (simple: one curl + thumb per hand) ===================== */
+    const lFingers = this._namedGroup("l_fingers", 0, -0.24, 0);
+    const rFingers = this._namedGroup("r_fingers", 0, -0.24, 0);
+    lWrist.add(lFingers);
+    rWrist.add(rFingers);
+
+    this._addBox(lFingers, "l_fingers_mesh", 0.09, 0.14, 0.18, 0, -0.07, 0, 0xc3c8d8);
+    this._addBox(rFingers, "r_fingers_mesh", 0.09, 0.14, 0.18, 0, -0.07, 0, 0xc3c8d8);
+
+    const lThumb = this._namedGroup("l_thumb", 0, -0.06, 0.1);
+    const rThumb = this._namedGroup("r_thumb", 0, -0.06, 0.1);
+    lWrist.add(lThumb);
+    rWrist.add(rThumb);
+
+    this._addBox(lThumb, "l_thumb_mesh", 0.07, 0.12, 0.07, 0, -0.05, 0.03, 0xc3c8d8);
+    this._addBox(rThumb, "r_thumb_mesh", 0.07, 0.12, 0.07, 0, -0.05, 0.03, 0xc3c8d8);
+
     /* ===================== HIPS / LEGS ===================== */
     const hipX = 0.28;
 
@@ -250,6 +313,16 @@ export class Character {
       0x7b86a0
     );
 
+    /* ===================== ANKLES + FEET ===================== */
+    const lAnkle = this._namedGroup("l_ankle", 0, -0.86, 0);
+    const rAnkle = this._namedGroup("r_ankle", 0, -0.86, 0);
+    lKnee.add(lAnkle);
+    rKnee.add(rAnkle);
+
+    // feet point forward (+Z), sole sits on the floor at rest
+    this._addBox(lAnkle, "l_foot_mesh", 0.26, 0.1, 0.44, 0, -0.05, 0.1, 0x7b86a0);
+    this._addBox(rAnkle, "r_foot_mesh", 0.26, 0.1, 0.44, 0, -0.05, 0.1, 0x7b86a0);
+
     // match your app.js behavior
     root.position.y = 1;
 
@@ -0,0 +1,114 @@
+// character/constraints.js
+// Per-joint rotation limits (anatomical constraints) for the box character.
+// Limits are local Euler ranges in DEGREES, order XYZ (the joint's default rotation order),
+// measured from the rest pose built in character/character.js.
+//
+// Axis cheat-sheet (character faces +Z, limbs hang along -Y):
+// - X: forward/backward swing (negative X swings an arm/leg forward, positive X bends a knee back)
+// - Y: twist around the bone
+// - Z: sideways swing (l_* joints open outwards with negative Z, r_* with positive Z)
+//
+// Pure logic: works on joint objects (reads/writes joint.rotation), no Three.js import needed.
+
+/**
+ * @typedef {Object} JointLimit
+ * @property {[number, number]} x  [min, max] degrees
+ * @property {[number, number]} y
+ * @property {[number, number]} z
+ */
+
+/** @type {Object<string, JointLimit>} */
+export const JOINT_LIMITS = {
+  // char_root is intentionally unconstrained (it turns/tilts the whole body)
+  hips: { x: [-45, 45], y: [-60, 60], z: [-30, 30] },
+  spine_1: { x: [-30, 30], y: [-30, 30], z: [-25, 25] },
+  spine_2: { x: [-30, 30], y: [-30, 30], z: [-25, 25] },
+  chest: { x: [-30, 30], y: [-35, 35], z: [-25, 25] },
+  neck: { x: [-45, 45], y: [-80, 80], z: [-40, 40] },
+
+  l_shoulder: { x: [-180, 60], y: [-90, 90], z: [-170, 30] },
+  r_shoulder: { x: [-180, 60], y: [-90, 90], z: [-30, 170] },
+  l_elbow: { x: [-150, 10], y: [-90, 90], z: [-5, 5] },
+  r_elbow: { x: [-150, 10], y: [-90, 90], z: [-5, 5] },
+  l_wrist: { x: [-80, 80], y: [-15, 15], z: [-35, 35] },
+  r_wrist: { x: [-80, 80], y: [-15, 15], z: [-35, 35] },
+  l_fingers: { x: [-10, 10], y: [-5, 5], z: [-10, 100] },
+  r_fingers: { x: [-10, 10], y: [-5, 5], z: [-100, 10] },
+  l_thumb: { x: [-45, 45], y: [-30, 30], z: [-20, 60] },
+  r_thumb: { x: [-45, 45], y: [-30, 30], z: [-60, 20] },
+
+  l_hip: { x: [-120, 40], y: [-45, 45], z: [-60, 15] },
+  r_hip: { x: [-120, 40], y: [-45, 45], z: [-15, 60] },
+  l_knee: { x: [0, 150], y: [-10, 10], z: [-5, 5] },
+  r_knee: { x: [0, 150], y: [-10, 10], z: [-5, 5] },
+  l_ankle: { x: [-45, 30], y: [-15, 15], z: [-25, 25] },
+  r_ankle: { x: [-45, 30], y: [-15, 15], z: [-25, 25] }
+};
+
+const DEG = Math.PI / 180;
+
+/**
+ * @param {string} name
+ * @returns {JointLimit|null}
+ */
+export function getJointLimits(name) {
+  return JOINT_LIMITS[name] || null;
+}
+
+function clampAxis(v, range) {
+  if (!range) return v;
+  return Math.max(range[0] * DEG, Math.min(range[1] * DEG, v));
+}
+
+/**
+ * Clamp one joint into its limits.
+ * @param {import("three").Object3D} joint
+ * @returns {boolean} true if the joint was changed
+ */
+export function clampJointRotation(joint) {
+  const lim = joint ? getJointLimits(joint.name) : null;
+  if (!lim) return false;
+
+  const r = joint.rotation;
+  const x = clampAxis(r.x, lim.x);
+  const y = clampAxis(r.y, lim.y);
+  const z = clampAxis(r.z, lim.z);
+
+  const eps = 1e-9;
+  if (Math.abs(x - r.x) < eps && Math.abs(y - r.y) < eps && Math.abs(z - r.z) < eps) return false;
+
+  r.set(x, y, z);
+  return true;
+}
+
+/**
+ * Clamp every joint that has limits.
+ * @param {import("three").Object3D[]} joints
+ * @returns {number} how many joints were changed
+ */
+export function clampAllJoints(joints) {
+  let changed = 0;
+  (joints || []).forEach((j) => {
+    if (clampJointRotation(j)) changed++;
+  });
+  return changed;
+}
+
+/**
+ * Random rotation inside the joint's limits, capped to ±maxDeg around rest
+ * (so "random" stays mild). Joints without limits just use ±maxDeg.
+ * @param {import("three").Object3D} joint
+ * @param {number} [maxDeg=26]
+ */
+export function randomizeJointRotation(joint, maxDeg = 26) {
+  const lim = getJointLimits(joint.name);
+
+  const sample = (range) => {
+    const lo = Math.max(range ? range[0] : -maxDeg, -maxDeg);
+    const hi = Math.min(range ? range[1] : maxDeg, maxDeg);
+    if (hi <= lo) return lo * DEG;
+    return (lo + Math.random() * (hi - lo)) * DEG;
+  };
+
+  joint.rotation.set(sample(lim?.x), sample(lim?.y), sample(lim?.z));
+}
@@ -0,0 +1,216 @@
+// controls/camera-views.js
+// Camera panel: view presets (front/back/left/right/top/three-quarter), perspective ↔ orthographic,
+// FOV / focal length, and named camera bookmarks.
+// - the camera math (projection swap, eased transitions) lives in engine/camera-rig.js
+// - bookmarks are plain view snapshots ({ name, projection, position, target, fov, height });
+//   app.js saves them with the pose (serializePose "cameras") and restores them on load
+//
+// Matches the other UI classes (OutlinerUI, InspectorUI): DOM + callbacks are injected by app.js.
+// Call sync() every frame so the projection button and lens fields follow shortcuts and bookmarks.
+
+import { VIEW_PRESETS, FOV_RANGE } from "../engine/camera-rig.js";
+
+export class CameraViewsUI {
+  /**
+   * @param {{
+   *  rig: ReturnType<import("../engine/camera-rig.js").createCameraRig>,
+   *  viewsEl?: HTMLElement,              // preset buttons are built in here
+   *  projectionBtn?: HTMLElement,        // label shows the current projection
+   *  fovEl?: HTMLInputElement,           // range, degrees (vertical)
+   *  focalEl?: HTMLInputElement,         // number, mm (35 mm film)
+   *  bookmarksEl?: HTMLSelectElement,
+   *  btnSaveEl?: HTMLElement,
+   *  btnGoEl?: HTMLElement,
+   *  btnDeleteEl?: HTMLElement,
+   *  showToast?: (msg:string, ms?:number)=>void
+   * }} opts
+   */
+  constructor(opts = {}) {
+    this.rig = opts.rig;
+
+    this.ui = {
+      views: opts.viewsEl || null,
+      projection: opts.projectionBtn || null,
+      fov: opts.fovEl || null,
+      focal: opts.focalEl || null,
+      bookmarks: opts.bookmarksEl || null,
+      btnSave: opts.btnSaveEl || null,
+      btnGo: opts.btnGoEl || null,
+      btnDelete: opts.btnDeleteEl || null
+    };
+
+    this.showToast = opts.showToast || (() => {});
+
+    /** @type {{ name:string, projection:string, position:number[], target:number[], fov:number, height:number }[]} */
+    this.bookmarks = [];
+
+    this._shown = { projection: "", fov: NaN };
+  }
+
+  /* ---------------- views ---------------- */
+
+  viewPreset(name) {
+    if (!this.rig.viewPreset(name)) return;
+    this.showToast(`${VIEW_PRESETS[name].label} view`, 800);
+  }
+
+  toggleProjection() {
+    const p = this.rig.toggleProjection();
+    this.showToast(p === "orthographic" ? "Orthographic" : "Perspective", 800);
+    this.sync();
+  }
+
+  setFov(deg) {
+    this.rig.setFov(deg);
+    this.sync(true);
+  }
+
+  setFocalLength(mm) {
+    this.rig.setFocalLength(mm);
+    this.sync(true);
+  }
+
+  /* ---------------- bookmarks ---------------- */
+
+  getBookmarks() {
+    return this.bookmarks.map((b) => ({ ...b, position: b.position.slice(), target: b.target.slice() }));
+  }
+
+  /** Replace the list (pose load). Entries are expected to be validated already (pose-schema.js). */
+  setBookmarks(list) {
+    this.bookmarks = (Array.isArray(list) ? list : []).map((b, i) => ({
+      ...b,
+      name: String(b.name || `View ${i + 1}`)
+    }));
+    this.renderBookmarks();
+  }
+
+  saveBookmark() {
+    const fallback = `View ${this.bookmarks.length + 1}`;
+    const next = prompt("Bookmark name:", fallback);
+    if (next == null) return;
+    const name = next.trim() || fallback;
+
+    const view = { name, ...this.rig.getView() };
+    const existing = this.bookmarks.findIndex((b) => b.name === name);
+    if (existing >= 0) {
+      if (!confirm(`Replace bookmark “${name}”?`)) return;
+      this.bookmarks[existing] = view;
+    } else {
+      this.bookmarks.push(view);
+    }
+
+    this.renderBookmarks(name);
+    this.showToast(`Saved view “${name}”`);
+  }
+
+  _selectedBookmark() {
+    const i = Number(this.ui.bookmarks?.value);
+    return Number.isInteger(i) ? this.bookmarks[i] || null : null;
+  }
+
+  recallBookmark(bm = this._selectedBookmark()) {
+    if (!bm) return this.showToast("Pick a bookmark first", 1200);
+    this.rig.setView(bm);
+    this.sync();
+    this.showToast(`View: ${bm.name}`, 800);
+  }
+
+  deleteSelectedBookmark() {
+    const bm = this._selectedBookmark();
+    if (!bm) return this.showToast("Pick a bookmark first", 1200);
+    if (!confirm(`Delete bookmark “${bm.name}”?`)) return;
+
+    this.bookmarks = this.bookmarks.filter((b) => b !== bm);
+    this.renderBookmarks();
+    this.showToast("Bookmark deleted");
+  }
+
+  renderBookmarks(selectName = null) {
+    const el = this.ui.bookmarks;
+    if (!el) return;
+    el.innerHTML = "";
+
+    if (!this.bookmarks.length) {
+      const opt = document.createElement("option");
+      opt.value = "";
+      opt.textContent = "No bookmarks";
+      el.appendChild(opt);
+      el.disabled = true;
+    } else {
+      el.disabled = false;
+      this.bookmarks.forEach((b, i) => {
+        const opt = document.createElement("option");
+        opt.value = String(i);
+        opt.textContent = `${b.name}${b.projection === "orthographic" ? " (ortho)" : ""}`;
+        if (b.name === selectName) opt.selected = true;
+        el.appendChild(opt);
+      });
+    }
+
+    if (this.ui.btnGo) this.ui.btnGo.disabled = !this.bookmarks.length;
+    if (this.ui.btnDelete) this.ui.btnDelete.disabled = !this.bookmarks.length;
+  }
+
+  /* ---------------- DOM ---------------- */
+
+  _buildViewButtons() {
+    const box = this.ui.views;
+    if (!box) return;
+    box.innerHTML = "";
+    Object.entries(VIEW_PRESETS).forEach(([name, preset]) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "chip";
+      btn.textContent = preset.label;
+      btn.title = `${preset.label} view`;
+      btn.addEventListener("click", () => this.viewPreset(name));
+      box.appendChild(btn);
+    });
+  }
+
+  /**
+   * Keep the projection button and lens fields in step with the rig.
+   * @param {boolean} [force] also overwrite a focused field
+   */
+  sync(force = false) {
+    const projection = this.rig.getProjection();
+    if (projection !== this._shown.projection && this.ui.projection) {
+      this.ui.projection.textContent = projection === "orthographic" ? "Orthographic" : "Perspective";
+      this.ui.projection.classList.toggle("btn--active", projection === "orthographic");
+    }
+    this._shown.projection = projection;
+
+    const fov = this.rig.getFov();
+    if (fov === this._shown.fov && !force) return;
+    this._shown.fov = fov;
+
+    if (this.ui.fov && (force || document.activeElement !== this.ui.fov)) this.ui.fov.value = String(Math.round(fov));
+    if (this.ui.focal && (force || document.activeElement !== this.ui.focal)) {
+      this.ui.focal.value = String(Math.round(this.rig.getFocalLength()));
+    }
+    if (this.ui.fov) this.ui.fov.title = `${fov.toFixed(1)}° vertical`;
+  }
+
+  hookUI() {
+    if (this.ui.fov) {
+      this.ui.fov.min = String(FOV_RANGE[0]);
+      this.ui.fov.max = String(FOV_RANGE[1]);
+      this.ui.fov.addEventListener("input", () => this.setFov(this.ui.fov.value));
+    }
+    this.ui.focal?.addEventListener("change", () => this.setFocalLength(this.ui.focal.value));
+    this.ui.projection?.addEventListener("click", () => this.toggleProjection());
+
+    this.ui.btnSave?.addEventListener("click", () => this.saveBookmark());
+    this.ui.btnGo?.addEventListener("click", () => this.recallBookmark());
+    this.ui.btnDelete?.addEventListener("click", () => this.deleteSelectedBookmark());
+    this.ui.bookmarks?.addEventListener("dblclick", () => this.recallBookmark());
+  }
+
+  init() {
+    this._buildViewButtons();
+    this.hookUI();
+    this.renderBookmarks();
+    this.sync(true);
+  }
+}
@@ -0,0 +1,313 @@
+// controls/export-dialog.js
+// PNG export dialog for engine/image-export.js.
+// - frame aspect (viewport / 1:1 / 4:3 / 3:2 / 16:9 / 9:16 / 4:5 / custom) shown as a crop frame
+//   over the viewport, so you can compose the shot before exporting
+// - size: a multiplier of the framed area at screen resolution, or a custom width × height
+//   (height follows the aspect unless the aspect is "Custom", which takes both as typed)
+// - transparent background, and which overlays to leave out (gizmo, outlines, light helpers, onion skin, grid…)
+//
+// Matches the other UI classes (CameraViewsUI, LightingUI): DOM + callbacks are injected by app.js.
+// Call updateFrame() when the viewport resizes. The crop frame can stay up after the dialog closes.
+
+import { cropFrameRect, MSAA_PIXEL_BUDGET } from "../engine/image-export.js";
+
+export const EXPORT_ASPECTS = {
+  viewport: { label: "Viewport", ratio: null },
+  square: { label: "1:1", ratio: 1 },
+  "4:3": { label: "4:3", ratio: 4 / 3 },
+  "3:2": { label: "3:2", ratio: 3 / 2 },
+  "16:9": { label: "16:9", ratio: 16 / 9 },
+  "9:16": { label: "9:16", ratio: 9 / 16 },
+  "4:5": { label: "4:5", ratio: 4 / 5 },
+  custom: { label: "Custom", ratio: null }
+};
+
+/** What can be left out of the image; app.js maps each key to scene objects. */
+export const EXPORT_HIDEABLE = {
+  gizmo: { label: "Gizmo + IK target", hidden: true },
+  outline: { label: "Selection outlines", hidden: true },
+  lightHelpers: { label: "Light helpers", hidden: true },
+  onion: { label: "Onion skin", hidden: true },
+  grid: { label: "Grid", hidden: false },
+  axes: { label: "Axes", hidden: false },
+  floor: { label: "Floor", hidden: false }
+};
+
+export class ExportDialogUI {
+  /**
+   * @param {{
+   *  exporter: ReturnType<import("../engine/image-export.js").createImageExporter>,
+   *  canvas: HTMLCanvasElement,             // the viewport; the crop frame goes in its parent
+   *  getCamera: ()=>any,
+   *  getPixelRatio?: ()=>number,            // renderer pixel ratio (1× = screen resolution)
+   *  getHideable?: (key:string)=>any[],     // objects for an EXPORT_HIDEABLE key
+   *  modalEl?: HTMLElement,
+   *  aspectEl?: HTMLSelectElement,
+   *  scaleEl?: HTMLSelectElement,           // "1".."4" or "custom"
+   *  widthEl?: HTMLInputElement,
+   *  heightEl?: HTMLInputElement,
+   *  transparentToggle?: HTMLInputElement,
+   *  frameToggle?: HTMLInputElement,        // keep the crop frame after closing
+   *  hideListEl?: HTMLElement,              // hide checkboxes are built in here
+   *  sizeInfoEl?: HTMLElement,
+   *  btnExportEl?: HTMLButtonElement,
+   *  btnCancelEl?: HTMLElement,
+   *  btnCloseEl?: HTMLElement,
+   *  onExport?: (blob:Blob, size:{ width:number, height:number })=>void,
+   *  showToast?: (msg:string, ms?:number)=>void
+   * }} opts
+   */
+  constructor(opts = {}) {
+    this.exporter = opts.exporter;
+    this.canvas = opts.canvas;
+    this.getCamera = opts.getCamera;
+    this.getPixelRatio = opts.getPixelRatio || (() => window.devicePixelRatio || 1);
+    this.getHideable = opts.getHideable || (() => []);
+
+    this.ui = {
+      modal: opts.modalEl || null,
+      aspect: opts.aspectEl || null,
+      scale: opts.scaleEl || null,
+      width: opts.widthEl || null,
+      height: opts.heightEl || null,
+      transparent: opts.transparentToggle || null,
+      keepFrame: opts.frameToggle || null,
+      hideList: opts.hideListEl || null,
+      sizeInfo: opts.sizeInfoEl || null,
+      btnExport: opts.btnExportEl || null,
+      btnCancel: opts.btnCancelEl || null,
+      btnClose: opts.btnCloseEl || null
+    };
+
+    this.onExport = opts.onExport || null;
+    this.showToast = opts.showToast || (() => {});
+
+    this.hide = Object.fromEntries(Object.entries(EXPORT_HIDEABLE).map(([k, v]) => [k, v.hidden]));
+    this._hideInputs = {};
+    this._frameEl = null;
+    this._busy = false;
+  }
+
+  /* ---------------- sizing ---------------- */
+
+  _viewSize() {
+    return { width: this.canvas?.clientWidth || 1, height: this.canvas?.clientHeight || 1 };
+  }
+
+  _customSize() {
+    return { width: Math.round(Number(this.ui.width?.value)) || 0, height: Math.round(Number(this.ui.height?.value)) || 0 };
+  }
+
+  /** Frame width / height. */
+  getAspect() {
+    const key = this.ui.aspect?.value || "viewport";
+    if (key === "custom") {
+      const { width, height } = this._customSize();
+      if (width > 0 && height > 0) return width / height;
+    }
+    const view = this._viewSize();
+    return EXPORT_ASPECTS[key]?.ratio || view.width / view.height;
+  }
+
+  /** Output size in pixels (clamped to what the GPU can render, aspect kept). */
+  getSize() {
+    const aspect = this.getAspect();
+    let width, height;
+
+    if (this.ui.scale?.value === "custom") {
+      ({ width, height } = this._customSize());
+      if (this.ui.aspect?.value !== "custom") height = Math.round(width / aspect);
+    } else {
+      const view = this._viewSize();
+      const rect = cropFrameRect(view.width, view.height, aspect);
+      const k = (Number(this.ui.scale?.value) || 1) * this.getPixelRatio();
+      width = Math.round(rect.width * k);
+      height = Math.round(width / aspect);
+    }
+
+    width = Math.max(1, width || 1);
+    height = Math.max(1, height || 1);
+    const max = this.exporter.maxSize();
+    if (width > max || height > max) {
+      const s = max / Math.max(width, height);
+      width = Math.max(1, Math.floor(width * s));
+      height = Math.max(1, Math.floor(height * s));
+    }
+    return { width, height };
+  }
+
+  /* ---------------- dialog ---------------- */
+
+  isOpen() {
+    return !!this.ui.modal && !this.ui.modal.classList.contains("hidden");
+  }
+
+  open() {
+    if (!this.ui.modal) return this.exportImage(); // no dialog markup: export with the defaults
+    this.ui.modal.classList.remove("hidden");
+    this.refresh();
+    this.ui.btnExport?.focus();
+  }
+
+  close() {
+    this.ui.modal?.classList.add("hidden");
+    this.updateFrame();
+  }
+
+  async exportImage() {
+    if (this._busy) return;
+    const { width, height } = this.getSize();
+    const view = this._viewSize();
+    const hidden = Object.keys(this.hide)
+      .filter((k) => this.hide[k])
+      .flatMap((k) => this.getHideable(k) || [])
+      .filter(Boolean);
+
+    this._busy = true;
+    if (this.ui.btnExport) this.ui.btnExport.disabled = true;
+    try {
+      const blob = await this.exporter.renderPNG({
+        camera: this.getCamera(),
+        viewAspect: view.width / view.height,
+        width,
+        height,
+        transparent: !!this.ui.transparent?.checked,
+        hidden
+      });
+      this.onExport?.(blob, { width, height });
+      this.close();
+      this.showToast(`Exported PNG (${width}×${height})`);
+    } catch (err) {
+      console.warn(err);
+      this.showToast("Export failed", 1800);
+    } finally {
+      this._busy = false;
+      if (this.ui.btnExport) this.ui.btnExport.disabled = false;
+    }
+  }
+
+  /* ---------------- DOM ---------------- */
+
+  _renderAspects() {
+    const el = this.ui.aspect;
+    if (!el) return;
+    el.innerHTML = "";
+    Object.entries(EXPORT_ASPECTS).forEach(([key, a]) => {
+      const opt = document.createElement("option");
+      opt.value = key;
+      opt.textContent = a.label;
+      el.appendChild(opt);
+    });
+  }
+
+  _renderHideList() {
+    const box = this.ui.hideList;
+    if (!box) return;
+    box.innerHTML = "";
+    Object.entries(EXPORT_HIDEABLE).forEach(([key, h]) => {
+      const label = document.createElement("label");
+      label.className = "toggle";
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = !!this.hide[key];
+      cb.addEventListener("change", () => (this.hide[key] = cb.checked));
+      const span = document.createElement("span");
+      span.textContent = `Hide ${h.label.toLowerCase()}`;
+      label.appendChild(cb);
+      label.appendChild(span);
+      box.appendChild(label);
+      this._hideInputs[key] = cb;
+    });
+  }
+
+  _buildFrame() {
+    const host = this.canvas?.parentElement;
+    if (!host) return;
+    this._frameEl = document.createElement("div");
+    this._frameEl.className = "cropFrame hidden";
+    this._frameBox = document.createElement("div");
+    this._frameBox.className = "cropFrame__box";
+    this._frameLabel = document.createElement("span");
+    this._frameLabel.className = "cropFrame__label";
+    this._frameBox.appendChild(this._frameLabel);
+    this._frameEl.appendChild(this._frameBox);
+    host.appendChild(this._frameEl);
+  }
+
+  /** Place the crop frame over the viewport (shown while the dialog is open, or if kept). */
+  updateFrame() {
+    if (!this._frameEl) return;
+    const show = this.isOpen() || !!this.ui.keepFrame?.checked;
+    this._frameEl.classList.toggle("hidden", !show);
+    if (!show) return;
+
+    const view = this._viewSize();
+    const r = cropFrameRect(view.width, view.height, this.getAspect());
+    Object.assign(this._frameBox.style, {
+      left: `${r.x}px`,
+      top: `${r.y}px`,
+      width: `${r.width}px`,
+      height: `${r.height}px`
+    });
+    const { width, height } = this.getSize();
+    this._frameLabel.textContent = `${width} × ${height}`;
+  }
+
+  /** Custom fields mirror the computed size when not in use; the frame follows every change. */
+  refresh() {
+    const customSize = this.ui.scale?.value === "custom";
+    const customAspect = this.ui.aspect?.value === "custom";
+    const { width, height } = this.getSize();
+
+    if (this.ui.width) {
+      this.ui.width.disabled = !customSize && !customAspect;
+      if (!customSize && !customAspect) this.ui.width.value = String(width);
+    }
+    if (this.ui.height) {
+      // with a fixed aspect the height is derived from the width
+      this.ui.height.disabled = !customAspect;
+      if (!customAspect) this.ui.height.value = String(height);
+    }
+    if (this.ui.sizeInfo) {
+      const max = this.exporter.maxSize();
+      const mp = (n) => `${Math.round(n / 1e5) / 10} MP`;
+      const aa = this.exporter.samplesFor(width, height)
+        ? "anti-aliased"
+        : width * height > MSAA_PIXEL_BUDGET
+          ? `no anti-aliasing above ${mp(MSAA_PIXEL_BUDGET)}`
+          : "no anti-aliasing";
+      this.ui.sizeInfo.textContent = `${width} × ${height} px (${mp(width * height)}, ${aa}) · max ${max} per side`;
+    }
+    this.updateFrame();
+  }
+
+  hookUI() {
+    this.ui.aspect?.addEventListener("change", () => {
+      // switching to "Custom" starts from the current size
+      if (this.ui.aspect.value === "custom" && this.ui.scale) this.ui.scale.value = "custom";
+      this.refresh();
+    });
+    this.ui.scale?.addEventListener("change", () => this.refresh());
+    this.ui.width?.addEventListener("input", () => this.refresh());
+    this.ui.height?.addEventListener("input", () => this.refresh());
+    this.ui.keepFrame?.addEventListener("change", () => this.updateFrame());
+
+    this.ui.btnExport?.addEventListener("click", () => this.exportImage());
+    this.ui.btnCancel?.addEventListener("click", () => this.close());
+    this.ui.btnClose?.addEventListener("click", () => this.close());
+    this.ui.modal?.addEventListener("click", (e) => {
+      if (e.target?.dataset?.close === "true") this.close();
+    });
+    this.ui.modal?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && e.target?.tagName !== "BUTTON") this.exportImage();
+    });
+  }
+
+  init() {
+    this._renderAspects();
+    this._renderHideList();
+    this._buildFrame();
+    this.hookUI();
+    this.refresh();
+  }
+}
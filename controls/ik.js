@@ -0,0 +1,285 @@
+// controls/ik.js
+// Owns: two-bone IK for arms and legs (IK mode).
+// The user clicks a limb, a small target marker appears at the hand/foot, and dragging it
+// with the gizmo solves the shoulder/elbow (or hip/knee) chain analytically.
+// Only joint quaternions are written, so serializePose() keeps working unchanged.
+
+import * as THREE from "three";
+
+/**
+ * @typedef {Object} IKChain
+ * @property {string} name     chain id ("l_arm", ...)
+ * @property {string} label    UI label
+ * @property {string} root     upper joint (shoulder/hip)
+ * @property {string} mid      middle joint (elbow/knee)
+ * @property {string} end      end effector joint (wrist/ankle)
+ * @property {number[]} tip    fallback end effector offset in the mid joint's local space (if `end` is missing)
+ * @property {number[]} pole   bend hint, in the local space of the root joint's parent
+ */
+
+/** @type {IKChain[]} */
+export const IK_CHAINS = [
+  // elbows point backwards (-Z), knees point forwards (+Z) — character faces +Z
+  { name: "l_arm", label: "Left arm", root: "l_shoulder", mid: "l_elbow", end: "l_wrist", tip: [0, -0.76, 0], pole: [0, 0, -1] },
+  { name: "r_arm", label: "Right arm", root: "r_shoulder", mid: "r_elbow", end: "r_wrist", tip: [0, -0.76, 0], pole: [0, 0, -1] },
+  { name: "l_leg", label: "Left leg", root: "l_hip", mid: "l_knee", end: "l_ankle", tip: [0, -0.86, 0], pole: [0, 0, 1] },
+  { name: "r_leg", label: "Right leg", root: "r_hip", mid: "r_knee", end: "r_ankle", tip: [0, -0.86, 0], pole: [0, 0, 1] }
+];
+
+const _q = new THREE.Quaternion();
+const _qParent = new THREE.Quaternion();
+const _from = new THREE.Vector3();
+const _to = new THREE.Vector3();
+
+/**
+ * Rotate a joint (in world space) so that world direction `from` ends up along `to`.
+ * Writes the joint's LOCAL quaternion.
+ */
+function rotateJointTowards(joint, from, to) {
+  _from.copy(from).normalize();
+  _to.copy(to).normalize();
+  if (_from.lengthSq() < 1e-12 || _to.lengthSq() < 1e-12) return;
+
+  const delta = new THREE.Quaternion().setFromUnitVectors(_from, _to);
+  joint.getWorldQuaternion(_q);
+  _q.premultiply(delta);
+
+  if (joint.parent) {
+    joint.parent.getWorldQuaternion(_qParent);
+    _q.premultiply(_qParent.invert());
+  }
+  joint.quaternion.copy(_q);
+  joint.updateWorldMatrix(false, true);
+}
+
+/**
+ * Analytic two-bone IK (law of cosines).
+ * All vectors are in WORLD space except `tipLocal` (mid joint local space).
+ *
+ * @param {{
+ *  root: THREE.Object3D,
+ *  mid: THREE.Object3D,
+ *  tipLocal: THREE.Vector3,
+ *  target: THREE.Vector3,
+ *  pole: THREE.Vector3  // direction the middle joint should bend towards
+ * }} args
+ * @returns {boolean} true if the target was reachable
+ */
+export function solveTwoBoneIK({ root, mid, tipLocal, target, pole }) {
+  root.updateWorldMatrix(true, true);
+
+  const a = root.getWorldPosition(new THREE.Vector3());
+  const b = mid.getWorldPosition(new THREE.Vector3());
+  const c = mid.localToWorld(tipLocal.clone());
+
+  const lenUpper = a.distanceTo(b);
+  const lenLower = b.distanceTo(c);
+  if (lenUpper < 1e-6 || lenLower < 1e-6) return false;
+
+  const toTarget = target.clone().sub(a);
+  const rawDist = toTarget.length();
+  const minDist = Math.abs(lenUpper - lenLower) + 1e-4;
+  const maxDist = lenUpper + lenLower - 1e-4;
+  const dist = Math.max(minDist, Math.min(maxDist, rawDist));
+
+  const dir = rawDist > 1e-6 ? toTarget.normalize() : b.clone().sub(a).normalize();
+
+  // bend plane: pole projected onto the plane perpendicular to root->target
+  const bend = pole.clone().addScaledVector(dir, -pole.dot(dir));
+  if (bend.lengthSq() < 1e-8) {
+    // pole is useless (parallel) -> keep the current bend direction
+    bend.copy(b).sub(a);
+    bend.addScaledVector(dir, -bend.dot(dir));
+  }
+  if (bend.lengthSq() < 1e-8) {
+    bend.set(0, 0, 1).addScaledVector(dir, -dir.z);
+    if (bend.lengthSq() < 1e-8) bend.set(1, 0, 0);
+  }
+  bend.normalize();
+
+  const cosA = Math.max(-1, Math.min(1, (lenUpper * lenUpper + dist * dist - lenLower * lenLower) / (2 * lenUpper * dist)));
+  const sinA = Math.sqrt(Math.max(0, 1 - cosA * cosA));
+
+  const midGoal = a.clone()
+    .addScaledVector(dir, cosA * lenUpper)
+    .addScaledVector(bend, sinA * lenUpper);
+
+  // 1) upper bone -> mid joint lands on midGoal
+  rotateJointTowards(root, b.clone().sub(a), midGoal.clone().sub(a));
+
+  // 2) lower bone -> tip lands on the (clamped) target
+  const b2 = mid.getWorldPosition(new THREE.Vector3());
+  const c2 = mid.localToWorld(tipLocal.clone());
+  const goal = a.clone().addScaledVector(dir, dist);
+  rotateJointTowards(mid, c2.sub(b2), goal.sub(b2));
+
+  return rawDist <= maxDist + 1e-4 && rawDist >= minDist - 1e-4;
+}
+
+export class IKController {
+  /**
+   * @param {{
+   *  scene: THREE.Scene,
+   *  gizmo: any, // TransformControls
+   *  world: { joints: THREE.Object3D[] },
+   *  pickFromPointer: (ev:PointerEvent)=>THREE.Object3D|null,
+   *  chains?: IKChain[],
+   *  // hooks
+   *  toast?: (msg:string, ms?:number)=>void,
+   *  onActivate?: (chain:IKChain|null)=>void,
+   *  onSolve?: ()=>void
+   * }} opts
+   */
+  constructor(opts) {
+    this.scene = opts.scene;
+    this.gizmo = opts.gizmo;
+    this.world = opts.world;
+    this.pickFromPointer = opts.pickFromPointer;
+    this.chains = Array.isArray(opts.chains) ? opts.chains : IK_CHAINS;
+
+    this.toast = typeof opts.toast === "function" ? opts.toast : null;
+    this.onActivate = typeof opts.onActivate === "function" ? opts.onActivate : null;
+    this.onSolve = typeof opts.onSolve === "function" ? opts.onSolve : null;
+
+    /** @type {IKChain|null} */
+    this.active = null;
+    this.bendFlipped = false;
+
+    // draggable end-effector target (NOT pickable, NOT a prop)
+    this.target = new THREE.Mesh(
+      new THREE.SphereGeometry(0.07, 16, 12),
+      new THREE.MeshBasicMaterial({ color: 0xffc04a, depthTest: false, transparent: true, opacity: 0.9 })
+    );
+    this.target.name = "ik_target";
+    this.target.renderOrder = 999;
+    this.target.visible = false;
+    this.scene.add(this.target);
+
+    this._onObjectChange = () => {
+      if (this.active && this.gizmo?.object === this.target) this.solve();
+    };
+    this.gizmo?.addEventListener?.("objectChange", this._onObjectChange);
+  }
+
+  destroy() {
+    this.deactivate();
+    this.gizmo?.removeEventListener?.("objectChange", this._onObjectChange);
+    this.scene.remove(this.target);
+  }
+
+  getJoint(name) {
+    return this.world.joints.find((j) => j.name === name) || null;
+  }
+
+  /**
+   * Find the chain an object belongs to (climbs up the parents).
+   * @param {THREE.Object3D|null} obj
+   * @returns {IKChain|null}
+   */
+  findChainForObject(obj) {
+    let o = obj;
+    while (o) {
+      const chain = this.chains.find((c) => c.root === o.name || c.mid === o.name);
+      if (chain) return chain;
+      o = o.parent;
+    }
+    return null;
+  }
+
+  /**
+   * Pointer handler for IK mode. Returns true if a chain was activated.
+   * @param {PointerEvent} ev
+   */
+  onPointerDown(ev) {
+    // clicking a gizmo handle must not re-pick what's behind it
+    if (this.gizmo?.axis || this.gizmo?.dragging) return false;
+
+    const obj = this.pickFromPointer?.(ev) || null;
+    const chain = this.findChainForObject(obj);
+    if (!chain) {
+      if (obj) this._toast("IK: click an arm or a leg");
+      return false;
+    }
+
+    this.activate(chain.name);
+    return true;
+  }
+
+  /** @param {string} chainName */
+  activate(chainName) {
+    const chain = this.chains.find((c) => c.name === chainName) || null;
+    if (!chain || !this.getJoint(chain.root) || !this.getJoint(chain.mid)) {
+      this.deactivate();
+      return;
+    }
+
+    this.active = chain;
+    this.snapTargetToEffector();
+    this.target.visible = true;
+    this.gizmo?.attach?.(this.target);
+
+    this.onActivate?.(chain);
+    this._toast(`IK: ${chain.label}`);
+  }
+
+  deactivate() {
+    if (!this.active) return;
+    this.active = null;
+    this.target.visible = false;
+    if (this.gizmo?.object === this.target) this.gizmo.detach();
+    this.onActivate?.(null);
+  }
+
+  setBendFlipped(on) {
+    this.bendFlipped = !!on;
+  }
+
+  /** Put the target marker back on the current hand/foot position. */
+  snapTargetToEffector() {
+    if (!this.active) return;
+    const mid = this.getJoint(this.active.mid);
+    if (!mid) return;
+
+    mid.updateWorldMatrix(true, false);
+    this.target.position.copy(mid.localToWorld(this._tipLocal(this.active, mid)));
+    this.target.quaternion.identity();
+  }
+
+  /** Solve the active chain towards the target marker. */
+  solve() {
+    const chain = this.active;
+    if (!chain) return false;
+
+    const root = this.getJoint(chain.root);
+    const mid = this.getJoint(chain.mid);
+    if (!root || !mid) return false;
+
+    // pole hint lives in the root's parent space (chest for arms, hips for legs),
+    // so "elbows back / knees forward" follows the body when it turns
+    const pole = new THREE.Vector3().fromArray(chain.pole);
+    if (this.bendFlipped) pole.negate();
+    if (root.parent) pole.applyQuaternion(root.parent.getWorldQuaternion(new THREE.Quaternion()));
+
+    const reached = solveTwoBoneIK({
+      root,
+      mid,
+      tipLocal: this._tipLocal(chain, mid),
+      target: this.target.getWorldPosition(new THREE.Vector3()),
+      pole
+    });
+
+    this.onSolve?.();
+    return reached;
+  }
+
+  /** End effector in mid-joint space: the wrist/ankle joint if the rig has it, else the fixed offset. */
+  _tipLocal(chain, mid) {
+    const end = chain.end ? this.getJoint(chain.end) : null;
+    if (end && end.parent === mid) return end.position.clone();
+    return new THREE.Vector3().fromArray(chain.tip);
+  }
+
+  _toast(msg, ms = 1100) {
+    if (this.toast) this.toast(msg, ms);
+  }
+}
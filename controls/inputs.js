@@ -21,6 +21,7 @@ export class InputManager {
       pointermove: [],
       pointerup: [],
       pointercancel: [],
+      pointerleave: [],
       keydown: [],
       keyup: [],
       resize: [],
@@ -32,6 +33,7 @@ export class InputManager {
       pointermove: (e) => this._onPointerMove(e),
       pointerup: (e) => this._onPointerUp(e),
       pointercancel: (e) => this._onPointerCancel(e),
+      pointerleave: (e) => this._emit("pointerleave", { type: "pointerleave", originalEvent: e, pointerId: e.pointerId }),
       keydown: (e) => this._onKeyDown(e),
       keyup: (e) => this._onKeyUp(e),
       resize: () => this._emit("resize", { type: "resize" }),
@@ -54,6 +56,7 @@ export class InputManager {
     this.canvas.addEventListener("pointermove", this._bound.pointermove, { passive: true });
     this.canvas.addEventListener("pointerup", this._bound.pointerup, { passive: true });
     this.canvas.addEventListener("pointercancel", this._bound.pointercancel, { passive: true });
+    this.canvas.addEventListener("pointerleave", this._bound.pointerleave, { passive: true });
 
     this.win.addEventListener("keydown", this._bound.keydown);
     this.win.addEventListener("keyup", this._bound.keyup);
@@ -63,7 +66,7 @@ export class InputManager {
 
   /**
    * Subscribe to an event.
-   * @param {"pointerdown"|"pointermove"|"pointerup"|"pointercancel"|"keydown"|"keyup"|"resize"|"blur"} type
+   * @param {"pointerdown"|"pointermove"|"pointerup"|"pointercancel"|"pointerleave"|"keydown"|"keyup"|"resize"|"blur"} type
    * @param {(evt:any)=>void} fn
    */
   on(type, fn) {
@@ -90,6 +93,7 @@ export class InputManager {
     this.canvas.removeEventListener("pointermove", this._bound.pointermove);
     this.canvas.removeEventListener("pointerup", this._bound.pointerup);
     this.canvas.removeEventListener("pointercancel", this._bound.pointercancel);
+    this.canvas.removeEventListener("pointerleave", this._bound.pointerleave);
 
     this.win.removeEventListener("keydown", this._bound.keydown);
     this.win.removeEventListener("keyup", this._bound.keyup);
@@ -0,0 +1,252 @@
+// controls/inspector.js
+// Numeric transform inspector for the active selection (joint or prop).
+// - Rotation as Euler degrees (order selectable, display only: the object keeps its quaternion)
+//   plus the raw quaternion
+// - Position + scale for props
+// - Type a value (Enter/blur), or drag an axis letter to scrub it (Shift = fine, Ctrl = coarse)
+// - Double-click an axis letter resets that field, ↺ resets the whole row
+//
+// Call sync() every frame: it rebuilds when the active object changes and otherwise only refreshes
+// fields that aren't being typed in, so the numbers follow gizmo drags, undo and playback live.
+// Edits go through the injected history hooks (one undo step per typed value / scrub).
+
+import * as THREE from "three";
+
+export const EULER_ORDERS = ["XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"];
+
+const XYZ = ["x", "y", "z"];
+
+const ROWS = [
+  { key: "rotation", label: "Rotation °", fields: XYZ, step: 1, digits: 2, reset: [0, 0, 0] },
+  { key: "quaternion", label: "Quaternion", fields: ["x", "y", "z", "w"], step: 0.01, digits: 4, reset: [0, 0, 0, 1] },
+  { key: "position", label: "Position", fields: XYZ, step: 0.01, digits: 3, reset: [0, 0, 0], propsOnly: true },
+  { key: "scale", label: "Scale", fields: XYZ, step: 0.01, digits: 3, reset: [1, 1, 1], propsOnly: true, min: 0.01 }
+];
+
+const _euler = new THREE.Euler();
+const _q = new THREE.Quaternion();
+
+export class InspectorUI {
+  /**
+   * @param {{
+   *  containerEl: HTMLElement,          // fields are built in here
+   *  orderEl?: HTMLSelectElement,       // Euler order
+   *  emptyEl?: HTMLElement,             // shown when nothing is selected
+   *  getActive: ()=>any,                // active selected object
+   *  recordEdit?: (label:string, fn:()=>void)=>void, // one undo step (history.record)
+   *  beginEdit?: (label:string)=>void,  // scrub start (history.begin)
+   *  endEdit?: ()=>void,                // scrub end (history.commit)
+   *  onEdit?: (obj:any)=>void           // after every change (limits, symmetry, outline…)
+   * }} opts
+   */
+  constructor(opts = {}) {
+    this.containerEl = opts.containerEl || null;
+    this.orderEl = opts.orderEl || null;
+    this.emptyEl = opts.emptyEl || null;
+
+    this.getActive = opts.getActive || (() => null);
+    this.recordEdit = opts.recordEdit || ((label, fn) => fn());
+    this.beginEdit = opts.beginEdit || (() => {});
+    this.endEdit = opts.endEdit || (() => {});
+    this.onEdit = opts.onEdit || null;
+
+    this.order = EULER_ORDERS.includes(this.orderEl?.value) ? this.orderEl.value : "XYZ";
+
+    this.target = null;
+    this._inputs = []; // { row, i, el }
+    this._scrub = null;
+  }
+
+  /* ---------------- values ---------------- */
+
+  read(obj, row) {
+    if (row.key === "rotation") {
+      _euler.setFromQuaternion(obj.quaternion, this.order);
+      return [_euler.x, _euler.y, _euler.z].map(THREE.MathUtils.radToDeg);
+    }
+    return obj[row.key].toArray();
+  }
+
+  write(obj, row, values) {
+    if (row.key === "rotation") {
+      const [x, y, z] = values.map(THREE.MathUtils.degToRad);
+      obj.quaternion.setFromEuler(_euler.set(x, y, z, this.order));
+    } else if (row.key === "quaternion") {
+      _q.fromArray(values);
+      if (_q.length() < 1e-8) _q.identity();
+      obj.quaternion.copy(_q.normalize());
+    } else {
+      const v = row.min != null ? values.map((n) => Math.max(row.min, n)) : values;
+      obj[row.key].fromArray(v);
+    }
+    this.onEdit?.(obj);
+  }
+
+  /** Set one field of a row, keeping the others as they are now. */
+  setField(obj, row, i, value) {
+    if (!Number.isFinite(value)) return;
+    const values = this.read(obj, row);
+    values[i] = value;
+    this.write(obj, row, values);
+  }
+
+  /* ---------------- DOM ---------------- */
+
+  _rowsFor(obj) {
+    return ROWS.filter((r) => !r.propsOnly || obj?.userData?.isProp);
+  }
+
+  build() {
+    if (!this.containerEl) return;
+    this.containerEl.innerHTML = "";
+    this._inputs = [];
+
+    const obj = this.target;
+    this.emptyEl?.classList.toggle("hidden", !!obj);
+    this.containerEl.classList.toggle("hidden", !obj);
+    if (!obj) return;
+
+    const head = document.createElement("div");
+    head.className = "inspector__head";
+    head.textContent = `${obj.name || "(unnamed)"} · ${obj.userData?.isProp ? "prop" : "joint"}`;
+    this.containerEl.appendChild(head);
+
+    this._rowsFor(obj).forEach((row) => {
+      const wrap = document.createElement("div");
+      wrap.className = "inspector__row";
+
+      const title = document.createElement("div");
+      title.className = "inspector__label";
+      title.textContent = row.label;
+
+      const reset = document.createElement("button");
+      reset.type = "button";
+      reset.className = "inspector__reset";
+      reset.textContent = "↺";
+      reset.title = `Reset ${row.label.replace(" °", "").toLowerCase()}`;
+      reset.addEventListener("click", () => {
+        this.recordEdit(`Reset ${row.key}`, () => this.write(obj, row, row.reset.slice()));
+        this.refresh(true);
+      });
+      title.appendChild(reset);
+      wrap.appendChild(title);
+
+      const fields = document.createElement("div");
+      fields.className = "inspector__fields";
+      fields.style.gridTemplateColumns = `repeat(${row.fields.length}, 1fr)`;
+
+      row.fields.forEach((axis, i) => {
+        const field = document.createElement("label");
+        field.className = "inspector__field";
+
+        const handle = document.createElement("span");
+        handle.className = "inspector__axis";
+        handle.textContent = axis.toUpperCase();
+        handle.title = "Drag to scrub (Shift = fine, Ctrl = coarse), double-click to reset";
+        this._hookScrub(handle, obj, row, i);
+
+        const input = document.createElement("input");
+        input.type = "number";
+        input.className = "input inspector__input";
+        input.step = String(row.step);
+        input.addEventListener("change", () => {
+          const v = Number(input.value);
+          if (!Number.isFinite(v)) return this.refresh(true);
+          this.recordEdit(`Set ${row.key} ${axis}`, () => this.setField(obj, row, i, v));
+          this.refresh(true);
+        });
+        input.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") input.blur();
+        });
+
+        field.appendChild(handle);
+        field.appendChild(input);
+        fields.appendChild(field);
+        this._inputs.push({ row, i, el: input });
+      });
+
+      wrap.appendChild(fields);
+      this.containerEl.appendChild(wrap);
+    });
+
+    this.refresh(true);
+  }
+
+  _hookScrub(handle, obj, row, i) {
+    handle.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      handle.setPointerCapture?.(e.pointerId);
+      this._scrub = { pointerId: e.pointerId, x: e.clientX, start: this.read(obj, row)[i] };
+      this.beginEdit(`Scrub ${row.key}`);
+    });
+
+    handle.addEventListener("pointermove", (e) => {
+      const s = this._scrub;
+      if (!s || e.pointerId !== s.pointerId) return;
+      const mult = e.shiftKey ? 0.1 : e.ctrlKey || e.metaKey ? 10 : 1;
+      this.setField(obj, row, i, s.start + (e.clientX - s.x) * row.step * mult);
+      this.refresh();
+    });
+
+    const end = (e) => {
+      if (!this._scrub || e.pointerId !== this._scrub.pointerId) return;
+      this._scrub = null;
+      this.endEdit();
+    };
+    handle.addEventListener("pointerup", end);
+    handle.addEventListener("pointercancel", end);
+
+    handle.addEventListener("dblclick", () => {
+      this.recordEdit(`Reset ${row.key} ${row.fields[i]}`, () => this.setField(obj, row, i, row.reset[i]));
+      this.refresh(true);
+    });
+  }
+
+  /**
+   * Write current values into the fields.
+   * @param {boolean} [force] also overwrite a focused field (after a committed edit)
+   */
+  refresh(force = false) {
+    const obj = this.target;
+    if (!obj) return;
+
+    const cache = new Map();
+    this._inputs.forEach(({ row, i, el }) => {
+      if (!force && document.activeElement === el) return; // user is typing
+      if (!cache.has(row)) cache.set(row, this.read(obj, row));
+      const text = Number(cache.get(row)[i].toFixed(row.digits)).toString();
+      if (el.value !== text) el.value = text;
+    });
+  }
+
+  /** Per frame: follow the active selection and keep the numbers live. */
+  sync() {
+    const active = this.getActive() || null;
+    if (active !== this.target) {
+      this.target = active;
+      if (this._scrub) {
+        // selection changed mid-scrub (Esc, undo…): close the history step it opened
+        this._scrub = null;
+        this.endEdit();
+      }
+      this.build();
+      return;
+    }
+    this.refresh();
+  }
+
+  setOrder(order) {
+    this.order = EULER_ORDERS.includes(order) ? order : "XYZ";
+    this.refresh(true);
+  }
+
+  hookUI() {
+    this.orderEl?.addEventListener("change", () => this.setOrder(this.orderEl.value));
+  }
+
+  init() {
+    this.hookUI();
+    this.build();
+  }
+}
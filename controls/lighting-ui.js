@@ -0,0 +1,299 @@
+// controls/lighting-ui.js
+// Lighting panel for the rig in engine/lighting.js.
+// - preset picker (switches the whole rig; any hand edit shows "Custom")
+// - hemisphere + ambient: colors and intensity
+// - one card per light: color, intensity, azimuth/elevation, shadows (+ cone for spots),
+//   ✥ = drag it in the viewport (app.js attaches the gizmo), × = remove (point/spot lights)
+// - add point / spot lights, show/hide light helpers
+//
+// Matches the other UI classes (InspectorUI, CameraViewsUI): DOM + callbacks are injected by app.js.
+// Call sync() every frame: cards are rebuilt when the light list changes, otherwise only the
+// fields that aren't being edited are refreshed (so gizmo drags update the direction sliders).
+
+import { LIGHT_PRESETS } from "../engine/lighting.js";
+
+const INTENSITY = { directional: [3, 0.01], point: [100, 0.5], spot: [150, 0.5] }; // [max, step]
+const TYPE_LABELS = { directional: "Directional", point: "Point", spot: "Spot" };
+
+export class LightingUI {
+  /**
+   * @param {{
+   *  rig: ReturnType<import("../engine/lighting.js").createLightRig>,
+   *  presetEl?: HTMLSelectElement,
+   *  listEl?: HTMLElement,                  // environment + light cards are built in here
+   *  btnAddPointEl?: HTMLElement,
+   *  btnAddSpotEl?: HTMLElement,
+   *  helpersToggle?: HTMLInputElement,      // checkbox
+   *  onMoveLight?: (light:any)=>void,       // attach the gizmo to a light
+   *  onRigChange?: ()=>void,                // lights were added/removed/replaced
+   *  showToast?: (msg:string, ms?:number)=>void
+   * }} opts
+   */
+  constructor(opts = {}) {
+    this.rig = opts.rig;
+
+    this.ui = {
+      preset: opts.presetEl || null,
+      list: opts.listEl || null,
+      btnAddPoint: opts.btnAddPointEl || null,
+      btnAddSpot: opts.btnAddSpotEl || null,
+      helpers: opts.helpersToggle || null
+    };
+
+    this.onMoveLight = opts.onMoveLight || null;
+    this.onRigChange = opts.onRigChange || null;
+    this.showToast = opts.showToast || (() => {});
+
+    this._signature = "";
+    this._fields = []; // { el, read:()=>string|number|boolean, prop:"value"|"checked" }
+  }
+
+  /* ---------------- actions ---------------- */
+
+  applyPreset(name) {
+    if (!this.rig.applyPreset(name)) return;
+    this._rigChanged();
+    this.showToast(`Lighting: ${LIGHT_PRESETS[name].label}`);
+  }
+
+  addLight(type) {
+    if (!this.rig.addLight(type)) return;
+    this._rigChanged();
+    this.showToast(`Added ${type} light`);
+  }
+
+  removeLight(id) {
+    const light = this.rig.getLight(id);
+    if (!light || !confirm(`Remove light “${light.name}”?`)) return;
+    this.rig.removeLight(id);
+    this._rigChanged();
+    this.showToast("Light removed");
+  }
+
+  /** After setState() from outside (pose load). */
+  refreshAll() {
+    this._signature = "";
+    this.sync();
+  }
+
+  _rigChanged() {
+    this.onRigChange?.();
+    this.refreshAll();
+  }
+
+  /* ---------------- DOM ---------------- */
+
+  _renderPresets() {
+    const el = this.ui.preset;
+    if (!el) return;
+    el.innerHTML = "";
+    Object.entries(LIGHT_PRESETS).forEach(([name, p]) => {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = p.label;
+      el.appendChild(opt);
+    });
+    const custom = document.createElement("option");
+    custom.value = "custom";
+    custom.textContent = "Custom";
+    custom.disabled = true;
+    el.appendChild(custom);
+  }
+
+  _bind(el, read, prop = "value") {
+    this._fields.push({ el, read, prop });
+    return el;
+  }
+
+  _input(type, attrs, onInput) {
+    const el = document.createElement("input");
+    el.type = type;
+    if (type !== "checkbox") el.className = type === "range" ? "lighting__range" : "lighting__color";
+    Object.entries(attrs || {}).forEach(([k, v]) => (el[k] = v));
+    el.addEventListener(type === "checkbox" ? "change" : "input", () => onInput(el));
+    return el;
+  }
+
+  _row(label, ...controls) {
+    const row = document.createElement("div");
+    row.className = "lighting__row";
+    const l = document.createElement("span");
+    l.className = "lighting__label";
+    l.textContent = label;
+    row.appendChild(l);
+    controls.forEach((c) => row.appendChild(c));
+    return row;
+  }
+
+  _card(title, sub) {
+    const card = document.createElement("div");
+    card.className = "lighting__card";
+    const head = document.createElement("div");
+    head.className = "lighting__head";
+    const name = document.createElement("span");
+    name.className = "lighting__name";
+    name.textContent = title;
+    head.appendChild(name);
+    if (sub) {
+      const s = document.createElement("span");
+      s.className = "lighting__type";
+      s.textContent = sub;
+      head.appendChild(s);
+    }
+    card.appendChild(head);
+    return { card, head };
+  }
+
+  _iconButton(text, title, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "lighting__btn";
+    btn.textContent = text;
+    btn.title = title;
+    btn.setAttribute("aria-label", title);
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  render() {
+    const box = this.ui.list;
+    if (!box) return;
+    box.innerHTML = "";
+    this._fields = [];
+    const rig = this.rig;
+
+    // environment
+    const env = this._card("Environment").card;
+    env.appendChild(
+      this._row(
+        "Sky / ground",
+        this._bind(this._input("color", {}, (el) => rig.setHemisphere({ sky: el.value })), () => "#" + rig.hemisphere.color.getHexString()),
+        this._bind(this._input("color", {}, (el) => rig.setHemisphere({ ground: el.value })), () => "#" + rig.hemisphere.groundColor.getHexString()),
+        this._bind(
+          this._input("range", { min: 0, max: 1.5, step: 0.01, title: "Hemisphere intensity" }, (el) =>
+            rig.setHemisphere({ intensity: Number(el.value) })
+          ),
+          () => rig.hemisphere.intensity
+        )
+      )
+    );
+    env.appendChild(
+      this._row(
+        "Ambient",
+        this._bind(this._input("color", {}, (el) => rig.setAmbient({ color: el.value })), () => "#" + rig.ambient.color.getHexString()),
+        this._bind(
+          this._input("range", { min: 0, max: 1.5, step: 0.01, title: "Ambient intensity" }, (el) =>
+            rig.setAmbient({ intensity: Number(el.value) })
+          ),
+          () => rig.ambient.intensity
+        )
+      )
+    );
+    box.appendChild(env);
+
+    // lights
+    rig.getLights().forEach(({ id, type, light }) => {
+      const { card, head } = this._card(light.name, TYPE_LABELS[type]);
+      head.appendChild(this._iconButton("✥", "Drag in the viewport", () => this.onMoveLight?.(light)));
+      if (type !== "directional") head.appendChild(this._iconButton("×", "Remove light", () => this.removeLight(id)));
+
+      card.appendChild(
+        this._row(
+          "Color",
+          this._bind(this._input("color", {}, (el) => rig.updateLight(id, { color: el.value })), () => "#" + light.color.getHexString()),
+          this._bind(
+            this._input("range", { min: 0, max: INTENSITY[type][0], step: INTENSITY[type][1], title: "Intensity" }, (el) =>
+              rig.updateLight(id, { intensity: Number(el.value) })
+            ),
+            () => light.intensity
+          )
+        )
+      );
+
+      const setDir = () => rig.setDirection(id, Number(az.value), Number(elev.value));
+      const az = this._bind(
+        this._input("range", { min: -180, max: 180, step: 1, title: "Azimuth (°)" }, setDir),
+        () => Math.round(rig.getDirection(id)?.azimuth ?? 0)
+      );
+      const elev = this._bind(
+        this._input("range", { min: -89, max: 89, step: 1, title: "Elevation (°)" }, setDir),
+        () => Math.round(rig.getDirection(id)?.elevation ?? 0)
+      );
+      card.appendChild(this._row("Direction", az, elev));
+
+      if (type === "spot") {
+        card.appendChild(
+          this._row(
+            "Cone",
+            this._bind(
+              this._input("range", { min: 1, max: 89, step: 1, title: "Cone angle (°)" }, (c) => rig.updateLight(id, { angle: Number(c.value) })),
+              () => Math.round((light.angle * 180) / Math.PI)
+            ),
+            this._bind(
+              this._input("range", { min: 0, max: 1, step: 0.01, title: "Penumbra (soft edge)" }, (c) =>
+                rig.updateLight(id, { penumbra: Number(c.value) })
+              ),
+              () => light.penumbra
+            )
+          )
+        );
+      }
+
+      const shadowToggle = document.createElement("label");
+      shadowToggle.className = "toggle";
+      const cb = this._bind(
+        this._input("checkbox", {}, (c) => rig.updateLight(id, { castShadow: c.checked })),
+        () => light.castShadow,
+        "checked"
+      );
+      const span = document.createElement("span");
+      span.textContent = "Cast shadows";
+      shadowToggle.appendChild(cb);
+      shadowToggle.appendChild(span);
+      card.appendChild(this._row("Shadows", shadowToggle));
+
+      box.appendChild(card);
+    });
+
+    this._refreshFields(true);
+  }
+
+  _refreshFields(force = false) {
+    this._fields.forEach(({ el, read, prop }) => {
+      if (!force && document.activeElement === el) return; // being dragged / typed
+      const v = read();
+      if (prop === "checked") el.checked = !!v;
+      else if (String(el.value) !== String(v)) el.value = String(v);
+    });
+  }
+
+  /** Per frame: rebuild on list changes, otherwise keep values (and the preset picker) current. */
+  sync() {
+    const sig = this.rig
+      .getLights()
+      .map((l) => `${l.id}:${l.light.name}`)
+      .join("|");
+    if (sig !== this._signature) {
+      this._signature = sig;
+      this.render();
+    } else {
+      this._refreshFields();
+    }
+
+    if (this.ui.preset && this.ui.preset.value !== this.rig.getPreset()) this.ui.preset.value = this.rig.getPreset();
+    if (this.ui.helpers) this.ui.helpers.checked = this.rig.getHelpersVisible();
+  }
+
+  hookUI() {
+    this.ui.preset?.addEventListener("change", () => this.applyPreset(this.ui.preset.value));
+    this.ui.btnAddPoint?.addEventListener("click", () => this.addLight("point"));
+    this.ui.btnAddSpot?.addEventListener("click", () => this.addLight("spot"));
+    this.ui.helpers?.addEventListener("change", () => this.rig.setHelpersVisible(this.ui.helpers.checked));
+  }
+
+  init() {
+    this._renderPresets();
+    this.hookUI();
+    this.refreshAll();
+  }
+}
@@ -0,0 +1,245 @@
+// controls/marquee.js
+// Box / lasso drag-select in the viewport.
+// - Starts only on empty canvas space in Rotate/Move/Scale mode (not on a gizmo handle, not in Orbit/IK),
+//   so it never fights TransformControls or OrbitControls.
+// - Fed by InputManager pointer events from app.js (begin → move → end / cancel).
+// - On release, every joint/prop whose projected screen bounds lie inside the region is reported
+//   through onSelect(objs, { additive }) (Shift at the start = add to the current selection).
+//
+// Joint bounds = the joint's own meshes (not its child joints), so a box around a hand doesn't
+// grab the whole arm; prop bounds = the whole prop. Hidden/locked objects are skipped.
+
+import * as THREE from "three";
+import { isViewportSelectable } from "./selection.js";
+
+/** Drag distance (px) before a press turns into a marquee (shorter = plain click). */
+const DRAG_THRESHOLD = 4;
+
+const _box = new THREE.Box3();
+const _childBox = new THREE.Box3();
+const _v = new THREE.Vector3();
+
+/**
+ * World bounds used for marquee tests.
+ * @param {THREE.Object3D} obj joint or prop
+ * @returns {THREE.Box3}
+ */
+function selectBounds(obj) {
+  _box.makeEmpty();
+  obj.updateWorldMatrix(true, true);
+
+  if (obj.userData?.isJoint) {
+    _box.expandByPoint(obj.getWorldPosition(_v));
+    obj.children.forEach((c) => {
+      if (c.userData?.isJoint) return;
+      _childBox.setFromObject(c);
+      if (!_childBox.isEmpty()) _box.union(_childBox);
+    });
+  } else {
+    _box.setFromObject(obj);
+  }
+  return _box;
+}
+
+/**
+ * Screen-space rect (CSS px, relative to the canvas) of an object's bounds.
+ * @returns {{ minX:number, minY:number, maxX:number, maxY:number }|null} null if (partly) behind the camera
+ */
+export function projectedRect(obj, camera, width, height) {
+  const box = selectBounds(obj);
+  if (box.isEmpty()) return null;
+
+  const r = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (let i = 0; i < 8; i++) {
+    _v.set(i & 1 ? box.max.x : box.min.x, i & 2 ? box.max.y : box.min.y, i & 4 ? box.max.z : box.min.z);
+    _v.project(camera);
+    if (_v.z > 1 || _v.z < -1) return null;
+
+    const x = ((_v.x + 1) / 2) * width;
+    const y = ((1 - _v.y) / 2) * height;
+    r.minX = Math.min(r.minX, x);
+    r.maxX = Math.max(r.maxX, x);
+    r.minY = Math.min(r.minY, y);
+    r.maxY = Math.max(r.maxY, y);
+  }
+  return r;
+}
+
+/** Even-odd point in polygon test. */
+export function pointInPolygon(x, y, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i];
+    const [xj, yj] = poly[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export class MarqueeSelect {
+  /**
+   * @param {{
+   *  canvas: HTMLCanvasElement,
+   *  camera: THREE.Camera,
+   *  gizmo: any, // TransformControls (a hovered handle blocks the marquee)
+   *  world: { joints: THREE.Object3D[], props: THREE.Object3D[] },
+   *  getMode?: ()=>string,
+   *  getShape?: ()=>"box"|"lasso",
+   *  getFilter?: ()=>"all"|"joints"|"props",
+   *  onSelect?: (objs:THREE.Object3D[], info:{ additive:boolean })=>void,
+   * }} opts
+   */
+  constructor(opts) {
+    this.canvas = opts.canvas;
+    this.camera = opts.camera;
+    this.gizmo = opts.gizmo || null;
+    this.world = opts.world;
+
+    this.getMode = typeof opts.getMode === "function" ? opts.getMode : () => "rotate";
+    this.getShape = typeof opts.getShape === "function" ? opts.getShape : () => "box";
+    this.getFilter = typeof opts.getFilter === "function" ? opts.getFilter : () => "all";
+    this.onSelect = typeof opts.onSelect === "function" ? opts.onSelect : null;
+
+    this._drag = null; // { pointerId, start:[x,y], points:[[x,y]...], additive, active }
+
+    // overlay (box = div, lasso = svg polygon), inside the viewport above the canvas
+    const host = this.canvas.parentElement || document.body;
+
+    this.boxEl = document.createElement("div");
+    this.boxEl.className = "marquee hidden";
+    host.appendChild(this.boxEl);
+
+    this.svgEl = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    this.svgEl.setAttribute("class", "marqueeLasso hidden");
+    this.polyEl = document.createElementNS("http://www.w3.org/2000/svg", "polygon");
+    this.svgEl.appendChild(this.polyEl);
+    host.appendChild(this.svgEl);
+  }
+
+  isActive() {
+    return !!this._drag?.active;
+  }
+
+  /**
+   * Press on the canvas that picked nothing.
+   * @param {PointerEvent} ev
+   * @returns {boolean} true if a marquee may start from here
+   */
+  begin(ev) {
+    const mode = this.getMode();
+    if (mode !== "rotate" && mode !== "move" && mode !== "scale") return false;
+    if (ev.button !== 0) return false;
+    if (this.gizmo?.dragging || this.gizmo?.axis) return false; // pressing a gizmo handle
+
+    const p = this._local(ev);
+    this._drag = { pointerId: ev.pointerId, start: p, points: [p], additive: !!ev.shiftKey, active: false };
+    try {
+      this.canvas.setPointerCapture?.(ev.pointerId);
+    } catch {}
+    return true;
+  }
+
+  /** @param {PointerEvent} ev */
+  move(ev) {
+    const d = this._drag;
+    if (!d || ev.pointerId !== d.pointerId) return;
+
+    const p = this._local(ev);
+    if (!d.active) {
+      if (Math.hypot(p[0] - d.start[0], p[1] - d.start[1]) < DRAG_THRESHOLD) return;
+      d.active = true;
+    }
+
+    if (this.getShape() === "lasso") {
+      const last = d.points[d.points.length - 1];
+      if (Math.hypot(p[0] - last[0], p[1] - last[1]) >= 3) d.points.push(p);
+    } else {
+      d.points = [d.start, p];
+    }
+    this._draw();
+  }
+
+  /**
+   * @param {PointerEvent} ev
+   * @returns {THREE.Object3D[]|null} selected objects, or null if this was a click, not a drag
+   */
+  end(ev) {
+    const d = this._drag;
+    if (!d || (ev && ev.pointerId !== d.pointerId)) return null;
+    this.cancel();
+    if (!d.active) return null;
+
+    const objs = this.hitTest(d);
+    this.onSelect?.(objs, { additive: d.additive });
+    return objs;
+  }
+
+  cancel() {
+    if (this._drag) {
+      try {
+        this.canvas.releasePointerCapture?.(this._drag.pointerId);
+      } catch {}
+    }
+    this._drag = null;
+    this.boxEl.classList.add("hidden");
+    this.svgEl.classList.add("hidden");
+  }
+
+  /** Joints/props (after the filter) inside the dragged region. */
+  hitTest(d) {
+    const lasso = this.getShape() === "lasso" && d.points.length > 2;
+    const [a, b] = [d.start, d.points[d.points.length - 1]];
+    const region = {
+      minX: Math.min(a[0], b[0]),
+      maxX: Math.max(a[0], b[0]),
+      minY: Math.min(a[1], b[1]),
+      maxY: Math.max(a[1], b[1])
+    };
+
+    const filter = this.getFilter();
+    const candidates = [
+      ...(filter !== "props" ? this.world.joints || [] : []),
+      ...(filter !== "joints" ? this.world.props || [] : [])
+    ];
+
+    const { width, height } = this.canvas.getBoundingClientRect();
+    return candidates.filter((obj) => {
+      if (!isViewportSelectable(obj)) return false;
+      const r = projectedRect(obj, this.camera, width, height);
+      if (!r) return false;
+
+      if (lasso) {
+        return [[r.minX, r.minY], [r.maxX, r.minY], [r.maxX, r.maxY], [r.minX, r.maxY]].every(([x, y]) =>
+          pointInPolygon(x, y, d.points)
+        );
+      }
+      return r.minX >= region.minX && r.maxX <= region.maxX && r.minY >= region.minY && r.maxY <= region.maxY;
+    });
+  }
+
+  _local(ev) {
+    const rect = this.canvas.getBoundingClientRect();
+    return [ev.clientX - rect.left, ev.clientY - rect.top];
+  }
+
+  _draw() {
+    const d = this._drag;
+    const offX = this.canvas.offsetLeft;
+    const offY = this.canvas.offsetTop;
+
+    if (this.getShape() === "lasso") {
+      this.boxEl.classList.add("hidden");
+      this.svgEl.classList.remove("hidden");
+      this.polyEl.setAttribute("points", d.points.map(([x, y]) => `${x + offX},${y + offY}`).join(" "));
+      return;
+    }
+
+    const [a, b] = d.points;
+    this.svgEl.classList.add("hidden");
+    this.boxEl.classList.remove("hidden");
+    this.boxEl.style.left = `${Math.min(a[0], b[0]) + offX}px`;
+    this.boxEl.style.top = `${Math.min(a[1], b[1]) + offY}px`;
+    this.boxEl.style.width = `${Math.abs(b[0] - a[0])}px`;
+    this.boxEl.style.height = `${Math.abs(b[1] - a[1])}px`;
+  }
+}
@@ -1,48 +1,79 @@
 // controls/Modes.js
-// Owns: mode switching (rotate/move/orbit), axis locks, rotate snap.
+// Owns: mode switching (rotate/move/scale/orbit/ik), gizmo space (local/world), axis locks,
+// rotate/move/scale snap, uniform scale, symmetric posing.
 // Does NOT duplicate other files. Designed to be used by Engine/App glue.
 
+const MODES = ["rotate", "move", "scale", "orbit", "ik"];
+const MODE_LABELS = { rotate: "Rotate mode", move: "Move mode", scale: "Scale mode", orbit: "Orbit mode", ik: "IK mode" };
+
 export class ModesController {
   /**
    * @param {{
    *  // UI elements
    *  modeRotateBtn: HTMLElement,
    *  modeMoveBtn: HTMLElement,
+   *  modeScaleBtn?: HTMLElement,        // props only
    *  modeOrbitBtn: HTMLElement,
+   *  modeIkBtn?: HTMLElement,
    *  axisXBtn: HTMLElement,
    *  axisYBtn: HTMLElement,
    *  axisZBtn: HTMLElement,
    *  rotateSnapSelect: HTMLSelectElement,
+   *  moveSnapSelect?: HTMLSelectElement,  // grid step (0 = off)
+   *  scaleSnapSelect?: HTMLSelectElement, // scale step (0 = off)
+   *  uniformScaleToggle?: HTMLInputElement, // checkbox: scale all axes together
+   *  spaceBtn?: HTMLElement,              // local/world toggle (label shows the current space)
+   *  symmetrySelect?: HTMLSelectElement, // "off" | "mirror" | "opposite"
    *
    *  // three controls
    *  orbit: any, // OrbitControls instance
    *  gizmo: any, // TransformControls instance
    *
    *  // optional hooks
-   *  toast?: (msg:string, ms?:number)=>void
+   *  toast?: (msg:string, ms?:number)=>void,
+   *  onDragStart?: (mode:string)=>void, // gizmo drag begins (e.g. open an undo step)
+   *  onDragEnd?: (mode:string)=>void,   // gizmo drag ends (e.g. commit the undo step)
+   *  findJoint?: (name:string)=>any     // joint lookup for symmetric posing (l_* <-> r_*)
    * }} opts
    */
   constructor(opts) {
     this.ui = {
       modeRotate: opts.modeRotateBtn,
       modeMove: opts.modeMoveBtn,
+      modeScale: opts.modeScaleBtn || null,
       modeOrbit: opts.modeOrbitBtn,
+      modeIk: opts.modeIkBtn || null,
       axisX: opts.axisXBtn,
       axisY: opts.axisYBtn,
       axisZ: opts.axisZBtn,
-      rotateSnap: opts.rotateSnapSelect
+      rotateSnap: opts.rotateSnapSelect,
+      moveSnap: opts.moveSnapSelect || null,
+      scaleSnap: opts.scaleSnapSelect || null,
+      uniformScale: opts.uniformScaleToggle || null,
+      space: opts.spaceBtn || null,
+      symmetry: opts.symmetrySelect || null
     };
 
     this.orbit = opts.orbit;
     this.gizmo = opts.gizmo;
     this.toast = typeof opts.toast === "function" ? opts.toast : null;
+    this.onDragStart = typeof opts.onDragStart === "function" ? opts.onDragStart : null;
+    this.onDragEnd = typeof opts.onDragEnd === "function" ? opts.onDragEnd : null;
+    this.findJoint = typeof opts.findJoint === "function" ? opts.findJoint : () => null;
 
     this.state = {
-      mode: "rotate", // "rotate" | "move" | "orbit"
+      mode: "rotate", // "rotate" | "move" | "scale" | "orbit" | "ik"
+      space: "local", // "local" | "world"
       axis: { x: true, y: true, z: true },
-      snapDeg: 10
+      snapDeg: 10,
+      snapMove: Number(this.ui.moveSnap?.value) || 0,
+      snapScale: Number(this.ui.scaleSnap?.value) || 0,
+      uniformScale: this.ui.uniformScale ? !!this.ui.uniformScale.checked : true,
+      symmetry: "off" // "off" | "mirror" | "opposite"
     };
 
+    this._scaleStart = null; // object scale when a scale drag started (uniform scale)
+
     this._bindUI();
     this.applyState(); // sync to initial
   }
@@ -52,10 +83,53 @@ export class ModesController {
   }
 
   setMode(mode) {
-    if (mode !== "rotate" && mode !== "move" && mode !== "orbit") return;
+    if (!MODES.includes(mode)) return;
     this.state.mode = mode;
     this.applyState();
-    this._toast(mode === "rotate" ? "Rotate mode" : mode === "move" ? "Move mode" : "Orbit mode");
+    this._toast(MODE_LABELS[mode]);
+  }
+
+  setSpace(space) {
+    if (space !== "local" && space !== "world") return;
+    this.state.space = space;
+    this.applyState();
+    this._toast(space === "world" ? "Gizmo: world space" : "Gizmo: local space");
+  }
+
+  toggleSpace() {
+    this.setSpace(this.state.space === "local" ? "world" : "local");
+  }
+
+  setSnapMove(step) {
+    const n = Number(step);
+    this.state.snapMove = Number.isFinite(n) && n > 0 ? n : 0;
+    this.applyState();
+  }
+
+  setSnapScale(step) {
+    const n = Number(step);
+    this.state.snapScale = Number.isFinite(n) && n > 0 ? n : 0;
+    this.applyState();
+  }
+
+  setUniformScale(on) {
+    this.state.uniformScale = !!on;
+    this.applyState();
+  }
+
+  /**
+   * Uniform scale: give every axis the ratio of the axis that changed most during this drag.
+   * Runs on gizmo objectChange (also call it for group pivots before they're applied).
+   * @param {any} obj the gizmo's object
+   */
+  applyUniformScale(obj) {
+    if (this.state.mode !== "scale" || !this.state.uniformScale || !obj || !this._scaleStart) return;
+    const s = obj.scale;
+    const start = this._scaleStart;
+    const ratios = [s.x / start.x, s.y / start.y, s.z / start.z].filter(Number.isFinite);
+    if (!ratios.length) return;
+    const r = ratios.reduce((a, b) => (Math.abs(b - 1) > Math.abs(a - 1) ? b : a), 1);
+    s.set(start.x * r, start.y * r, start.z * r);
   }
 
   toggleAxis(key) {
@@ -70,6 +144,51 @@ export class ModesController {
     this.applyState();
   }
 
+  setSymmetry(mode) {
+    if (mode !== "off" && mode !== "mirror" && mode !== "opposite") return;
+    this.state.symmetry = mode;
+    this.applyState();
+    this._toast(mode === "mirror" ? "Symmetry: mirror" : mode === "opposite" ? "Symmetry: opposite" : "Symmetry: off");
+  }
+
+  /**
+   * Matching joint on the other side (l_* <-> r_*) while symmetry is active.
+   * @param {any} obj
+   * @returns {any|null}
+   */
+  getSymmetryPartner(obj) {
+    if (this.state.symmetry === "off" || !obj?.userData?.isJoint) return null;
+    const name = String(obj.name || "");
+    let other = "";
+    if (name.startsWith("l_")) other = "r_" + name.slice(2);
+    else if (name.startsWith("r_")) other = "l_" + name.slice(2);
+    if (!other) return null;
+    return this.findJoint(other) || null;
+  }
+
+  /**
+   * Copy the joint's transform onto its partner (call on gizmo objectChange).
+   * - mirror:   reflected across the sagittal plane (both arms raise together)
+   * - opposite: swing reversed (counter-swing, e.g. arms while walking)
+   * @param {any} obj joint being dragged
+   * @returns {any|null} the partner that was updated
+   */
+  applySymmetry(obj) {
+    const partner = this.getSymmetryPartner(obj);
+    if (!partner) return null;
+
+    if (this.state.mode === "move") {
+      partner.position.set(-obj.position.x, obj.position.y, obj.position.z);
+    } else if (this.state.symmetry === "opposite") {
+      const r = obj.rotation;
+      partner.rotation.set(-r.x, -r.y, -r.z);
+    } else {
+      const q = obj.quaternion;
+      partner.quaternion.set(q.x, -q.y, -q.z, q.w);
+    }
+    return partner;
+  }
+
   /**
    * Apply state to TransformControls + OrbitControls + UI classes.
    */
@@ -79,7 +198,9 @@ export class ModesController {
     // UI active buttons
     this._toggleClass(this.ui.modeRotate, "btn--active", mode === "rotate");
     this._toggleClass(this.ui.modeMove, "btn--active", mode === "move");
+    this._toggleClass(this.ui.modeScale, "btn--active", mode === "scale");
     this._toggleClass(this.ui.modeOrbit, "btn--active", mode === "orbit");
+    this._toggleClass(this.ui.modeIk, "btn--active", mode === "ik");
 
     // axis chips
     this._toggleClass(this.ui.axisX, "chip--active", !!axis.x);
@@ -90,7 +211,10 @@ export class ModesController {
     const orbOn = mode === "orbit";
     if (this.gizmo) {
       this.gizmo.enabled = !orbOn;
-      this.gizmo.setMode(mode === "move" ? "translate" : "rotate");
+      // IK drags a translate-only target marker
+      this.gizmo.setMode(mode === "move" || mode === "ik" ? "translate" : mode === "scale" ? "scale" : "rotate");
+      // same space in every mode; in scale mode TransformControls ignores "world" and uses local axes
+      this.gizmo.setSpace(this.state.space);
 
       this.gizmo.showX = !!axis.x;
       this.gizmo.showY = !!axis.y;
@@ -102,12 +226,28 @@ export class ModesController {
       } else {
         this.gizmo.setRotationSnap(null);
       }
+
+      // grid step in move mode, scale step in scale mode
+      this.gizmo.setTranslationSnap(mode === "move" && this.state.snapMove > 0 ? this.state.snapMove : null);
+      this.gizmo.setScaleSnap(mode === "scale" && this.state.snapScale > 0 ? this.state.snapScale : null);
+    }
+
+    if (this.ui.space) {
+      this.ui.space.textContent = this.state.space === "world" ? "World" : "Local";
+      this._toggleClass(this.ui.space, "btn--active", this.state.space === "world");
     }
+    if (this.ui.moveSnap && Number(this.ui.moveSnap.value) !== this.state.snapMove) this.ui.moveSnap.value = String(this.state.snapMove);
+    if (this.ui.scaleSnap && Number(this.ui.scaleSnap.value) !== this.state.snapScale) this.ui.scaleSnap.value = String(this.state.snapScale);
+    if (this.ui.uniformScale) this.ui.uniformScale.checked = this.state.uniformScale;
 
     if (this.orbit) {
       this.orbit.enabled = orbOn;
     }
 
+    if (this.ui.symmetry && this.ui.symmetry.value !== this.state.symmetry) {
+      this.ui.symmetry.value = this.state.symmetry;
+    }
+
     // keep select UI value in sync
     if (this.ui.rotateSnap && String(this.ui.rotateSnap.value) !== String(snapDeg)) {
       // only set if mismatch to avoid moving user selection unexpectedly
@@ -117,20 +257,26 @@ export class ModesController {
   }
 
   /**
-   * Helper for keyboard shortcuts (your app.js uses 1/2/3).
+   * Helper for keyboard shortcuts (your app.js uses 1/2/3/4/5, Q = local/world).
    * @param {string} keyLower
    */
   handleShortcut(keyLower) {
     if (keyLower === "1") this.setMode("rotate");
     else if (keyLower === "2") this.setMode("move");
     else if (keyLower === "3") this.setMode("orbit");
+    else if (keyLower === "4") this.setMode("ik");
+    else if (keyLower === "5") this.setMode("scale");
+    else if (keyLower === "q") this.toggleSpace();
   }
 
   _bindUI() {
     // modes
     this.ui.modeRotate?.addEventListener("click", () => this.setMode("rotate"));
     this.ui.modeMove?.addEventListener("click", () => this.setMode("move"));
+    this.ui.modeScale?.addEventListener("click", () => this.setMode("scale"));
+    this.ui.space?.addEventListener("click", () => this.toggleSpace());
     this.ui.modeOrbit?.addEventListener("click", () => this.setMode("orbit"));
+    this.ui.modeIk?.addEventListener("click", () => this.setMode("ik"));
 
     // axis
     this.ui.axisX?.addEventListener("click", () => this.toggleAxis("x"));
@@ -142,17 +288,39 @@ export class ModesController {
       const v = Number(this.ui.rotateSnap.value || 0);
       this.setSnapDeg(v);
     });
+    this.ui.moveSnap?.addEventListener("change", () => this.setSnapMove(this.ui.moveSnap.value));
+    this.ui.scaleSnap?.addEventListener("change", () => this.setSnapScale(this.ui.scaleSnap.value));
+    this.ui.uniformScale?.addEventListener("change", () => this.setUniformScale(this.ui.uniformScale.checked));
+
+    // symmetry
+    this.ui.symmetry?.addEventListener("change", () => this.setSymmetry(this.ui.symmetry.value));
 
     // TransformControls dragging -> disable orbit during drag (matches your current logic)
-    if (this.gizmo && this.orbit) {
+    if (this.gizmo) {
       this.gizmo.addEventListener("dragging-changed", (e) => {
         // only allow orbit when orbit mode is active and not dragging
-        this.orbit.enabled = !e.value && (this.state.mode === "orbit");
-        if (e.value) this._toast(this.state.mode === "move" ? "Moving…" : "Rotating…");
+        if (this.orbit) this.orbit.enabled = !e.value && (this.state.mode === "orbit");
+        if (e.value) this._toast(this._dragLabel());
+        this._scaleStart = e.value && this.gizmo.object ? this.gizmo.object.scale.clone() : null;
+
+        // drag start/end hooks (history etc.)
+        try {
+          if (e.value) this.onDragStart?.(this.state.mode);
+          else this.onDragEnd?.(this.state.mode);
+        } catch (err) {
+          console.warn(err);
+        }
       });
+
+      this.gizmo.addEventListener("objectChange", () => this.applyUniformScale(this.gizmo.object));
     }
   }
 
+  _dragLabel() {
+    const m = this.state.mode;
+    return m === "move" ? "Moving…" : m === "scale" ? "Scaling…" : m === "ik" ? "Solving IK…" : "Rotating…";
+  }
+
   _toast(msg, ms = 1100) {
     if (this.toast) this.toast(msg, ms);
   }
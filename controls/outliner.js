@@ -0,0 +1,210 @@
+// controls/outliner.js
+// Scene outliner panel: the joint hierarchy (char_root → hips → …) as an expandable tree, plus
+// every prop in world.props.
+// - click a row: select it (Shift+click adds/removes, same as in the viewport)
+// - double-click a prop: rename it
+// - 👁 hides/shows an object (hiding a joint hides everything below it)
+// - 🔒 locks an object: it can still be picked here, but not by clicking/dragging in the viewport
+//
+// Matches the other UI classes (PresetsUI, TimelineUI): DOM + callbacks are injected by app.js.
+// Call render() when the prop list changes and syncSelection() when the selection changes.
+
+export class OutlinerUI {
+  /**
+   * @param {{
+   *  containerEl: HTMLElement,
+   *  world: { joints: any[], props: any[] },
+   *  getSelection: ()=>any[],                  // every selected object
+   *  getActive: ()=>any,                       // active (last clicked) object
+   *  onSelect: (obj:any, info:{ toggle:boolean })=>void,
+   *  renameProp?: (obj:any, name:string)=>void, // recorded edit (history)
+   *  onVisibilityChange?: (obj:any)=>void,
+   *  onLockChange?: (obj:any)=>void,
+   *  showToast?: (msg:string, ms?:number)=>void
+   * }} opts
+   */
+  constructor(opts = {}) {
+    this.containerEl = opts.containerEl || null;
+    this.world = opts.world;
+
+    this.getSelection = opts.getSelection || (() => []);
+    this.getActive = opts.getActive || (() => null);
+    this.onSelect = opts.onSelect || null;
+    this.renameProp = opts.renameProp || null;
+    this.onVisibilityChange = opts.onVisibilityChange || null;
+    this.onLockChange = opts.onLockChange || null;
+    this.showToast = opts.showToast || (() => {});
+
+    this.collapsed = new Set(); // object uuids
+    this._rows = new Map();     // object -> row element
+  }
+
+  /* ---------------- tree ---------------- */
+
+  _childJoints(obj) {
+    return obj.children.filter((c) => c.userData?.isJoint);
+  }
+
+  _topJoints() {
+    return (this.world.joints || []).filter((j) => !j.parent?.userData?.isJoint);
+  }
+
+  render() {
+    if (!this.containerEl) return;
+    this.containerEl.innerHTML = "";
+    this._rows.clear();
+
+    this._renderGroupTitle("Character");
+    this._topJoints().forEach((j) => this._renderJoint(j, 0));
+
+    const props = this.world.props || [];
+    this._renderGroupTitle(`Props (${props.length})`);
+    if (!props.length) {
+      const empty = document.createElement("div");
+      empty.className = "hint";
+      empty.textContent = "No props yet.";
+      this.containerEl.appendChild(empty);
+    }
+    props.forEach((p) => this._renderRow(p, 0, { kind: "prop" }));
+
+    this.syncSelection();
+  }
+
+  _renderGroupTitle(text) {
+    const title = document.createElement("div");
+    title.className = "outliner__title";
+    title.textContent = text;
+    this.containerEl.appendChild(title);
+  }
+
+  _renderJoint(joint, depth) {
+    const kids = this._childJoints(joint);
+    this._renderRow(joint, depth, { kind: "joint", hasChildren: kids.length > 0 });
+    if (this.collapsed.has(joint.uuid)) return;
+    kids.forEach((k) => this._renderJoint(k, depth + 1));
+  }
+
+  _renderRow(obj, depth, { kind, hasChildren = false }) {
+    const row = document.createElement("div");
+    row.className = "outliner__row";
+    row.style.paddingLeft = `${6 + depth * 14}px`;
+    row.title = kind === "prop" ? "Click to select, double-click to rename" : "Click to select";
+
+    const caret = document.createElement("button");
+    caret.type = "button";
+    caret.className = "outliner__caret";
+    if (hasChildren) {
+      const open = !this.collapsed.has(obj.uuid);
+      caret.textContent = open ? "▾" : "▸";
+      caret.setAttribute("aria-label", open ? "Collapse" : "Expand");
+      caret.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (open) this.collapsed.add(obj.uuid);
+        else this.collapsed.delete(obj.uuid);
+        this.render();
+      });
+    } else {
+      caret.disabled = true;
+    }
+
+    const name = document.createElement("span");
+    name.className = "outliner__name";
+    name.textContent = obj.name || "(unnamed)";
+
+    const eye = this._toggleButton(obj.visible, "👁", obj.visible ? "Hide" : "Show", () => {
+      obj.visible = !obj.visible;
+      this.onVisibilityChange?.(obj);
+      this.render();
+    });
+    if (!obj.visible) eye.classList.add("outliner__toggle--off");
+
+    const locked = !!obj.userData?.locked;
+    const lock = this._toggleButton(locked, "🔒", locked ? "Unlock (allow viewport picking)" : "Lock (no viewport picking)", () => {
+      obj.userData.locked = !obj.userData.locked;
+      this.onLockChange?.(obj);
+      this.render();
+    });
+    if (!locked) lock.classList.add("outliner__toggle--off");
+
+    row.appendChild(caret);
+    row.appendChild(name);
+    row.appendChild(eye);
+    row.appendChild(lock);
+
+    if (!this.isShown(obj)) row.classList.add("outliner__row--hidden");
+
+    row.addEventListener("click", (e) => this.onSelect?.(obj, { toggle: !!e.shiftKey }));
+    if (kind === "prop") row.addEventListener("dblclick", () => this.renameObject(obj));
+
+    this.containerEl.appendChild(row);
+    this._rows.set(obj, row);
+  }
+
+  _toggleButton(on, icon, label, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "outliner__toggle";
+    btn.textContent = icon;
+    btn.title = label;
+    btn.setAttribute("aria-label", label);
+    btn.setAttribute("aria-pressed", String(!!on));
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return btn;
+  }
+
+  /** Visible itself and through all its parents. */
+  isShown(obj) {
+    for (let o = obj; o; o = o.parent) if (!o.visible) return false;
+    return true;
+  }
+
+  /* ---------------- actions ---------------- */
+
+  renameObject(obj) {
+    if (!obj?.userData?.isProp) return;
+    const next = prompt("Rename prop:", obj.name || "");
+    if (next == null) return;
+    const name = next.trim();
+    if (!name || name === obj.name) return;
+
+    if (typeof this.renameProp === "function") this.renameProp(obj, name);
+    else obj.name = name;
+    this.render();
+    this.showToast("Prop renamed");
+  }
+
+  /* ---------------- selection highlight ---------------- */
+
+  /** Highlight rows of the current viewport selection (expands collapsed parents of the active one). */
+  syncSelection() {
+    if (!this.containerEl) return;
+    const selected = new Set(this.getSelection());
+    const active = this.getActive();
+
+    // make sure the active joint's row exists
+    if (active?.userData?.isJoint && !this._rows.has(active)) {
+      let changed = false;
+      for (let p = active.parent; p?.userData?.isJoint; p = p.parent) {
+        if (this.collapsed.delete(p.uuid)) changed = true;
+      }
+      if (changed) return this.render();
+    }
+
+    this._rows.forEach((row, obj) => {
+      row.classList.toggle("outliner__row--selected", selected.has(obj));
+      row.classList.toggle("outliner__row--active", obj === active);
+    });
+
+    // keep the active row in view (scrolls the tree only, never the side panel)
+    const row = this._rows.get(active);
+    const box = this.containerEl;
+    if (!row) return;
+    if (row.offsetTop < box.scrollTop) box.scrollTop = row.offsetTop;
+    else if (row.offsetTop + row.offsetHeight > box.scrollTop + box.clientHeight) {
+      box.scrollTop = row.offsetTop + row.offsetHeight - box.clientHeight;
+    }
+  }
+}
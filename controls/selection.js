@@ -1,9 +1,35 @@
 // controls/Selection.js
 // Owns: picking + selection state, outline, focus camera, selection name UI, clear.
 // Does NOT duplicate other modules. Use from your main app/engine glue.
+//
+// Multi-selection: shift-click adds/removes objects. `selected` stays the active object (last
+// clicked); `selectedSet` holds everything. With more than one object the gizmo drives a hidden
+// pivot (selection center or active object) and every drag of it is applied to the whole set:
+// props follow the pivot transform, joints rotate in place by the same amount (a joint whose parent
+// is selected too adds its rotation on top, so a selected spine curls) and, in move mode, the
+// top-level selected joints move by the same offset. Joint positions are never rewritten while
+// rotating, so limbs stay attached.
+//
+// Overlapping picks: the object under the cursor gets a faint hover outline, and clicking the same
+// spot again cycles through everything under it (front to back). The selection name field shows
+// which candidate is active ("chest (2/3)").
 
 import * as THREE from "three";
 
+/**
+ * Can the viewport pick this object? Hidden objects (or hidden parents) and objects locked in the
+ * outliner (userData.locked) can't be clicked or drag-selected.
+ * @param {THREE.Object3D} obj joint or prop
+ */
+export function isViewportSelectable(obj) {
+  if (!obj || obj.userData?.locked) return false;
+  for (let o = obj; o; o = o.parent) if (!o.visible) return false;
+  return true;
+}
+
+const _tmpPos = new THREE.Vector3();
+const _tmpScale = new THREE.Vector3();
+
 export class SelectionController {
   /**
    * @param {{
@@ -18,8 +44,13 @@ export class SelectionController {
    *  btnClear?: HTMLElement,
    *  helpModal?: HTMLElement,
    *  // state read
-   *  getMode?: ()=>string, // returns "rotate"|"move"|"orbit"
+   *  getMode?: ()=>string, // returns "rotate"|"move"|"scale"|"orbit"|"ik"
    *  getShowOutline?: ()=>boolean,
+   *  getLinked?: (obj:THREE.Object3D)=>THREE.Object3D|null, // e.g. symmetry partner, outlined too
+   *  getPivotMode?: ()=>"center"|"active", // group transform pivot
+   *  constrainPivot?: (pivot:THREE.Object3D)=>void, // before a group drag step is applied (uniform scale…)
+   *  onGroupChange?: (objs:THREE.Object3D[])=>void, // after a group drag step (limits, symmetry…)
+   *  onChange?: (objs:THREE.Object3D[], active:THREE.Object3D|null)=>void, // selection changed (outliner…)
    *  // hooks
    *  toast?: (msg:string, ms?:number)=>void,
    * }} opts
@@ -41,10 +72,17 @@ export class SelectionController {
 
     this.getMode = typeof opts.getMode === "function" ? opts.getMode : () => "rotate";
     this.getShowOutline = typeof opts.getShowOutline === "function" ? opts.getShowOutline : () => true;
+    this.getLinked = typeof opts.getLinked === "function" ? opts.getLinked : () => null;
+    this.getPivotMode = typeof opts.getPivotMode === "function" ? opts.getPivotMode : () => "center";
+    this.constrainPivot = typeof opts.constrainPivot === "function" ? opts.constrainPivot : null;
+    this.onGroupChange = typeof opts.onGroupChange === "function" ? opts.onGroupChange : null;
+    this.onChange = typeof opts.onChange === "function" ? opts.onChange : null;
 
     this.toast = typeof opts.toast === "function" ? opts.toast : null;
 
     this.selected = null;
+    /** @type {THREE.Object3D[]} every selected object (includes `selected`) */
+    this.selectedSet = [];
 
     this.raycaster = new THREE.Raycaster();
     this.pointer = new THREE.Vector2();
@@ -54,6 +92,51 @@ export class SelectionController {
     this.outline.visible = false;
     this.scene.add(this.outline);
 
+    // second outline for a linked object (symmetry partner)
+    this.linkedOutline = new THREE.BoxHelper(new THREE.Object3D(), 0x7c5cff);
+    this.linkedOutline.visible = false;
+    this.scene.add(this.linkedOutline);
+
+    // combined bounds of a multi-selection
+    this.groupBox = new THREE.Box3();
+    this.groupOutline = new THREE.Box3Helper(this.groupBox, 0x24d2ff);
+    this.groupOutline.visible = false;
+    this.scene.add(this.groupOutline);
+
+    // hover pre-highlight (what a click would select)
+    this.hoverOutline = new THREE.BoxHelper(new THREE.Object3D(), 0xffffff);
+    this.hoverOutline.material.transparent = true;
+    this.hoverOutline.material.opacity = 0.45;
+    this.hoverOutline.visible = false;
+    this.scene.add(this.hoverOutline);
+    this.hovered = null;
+    this._hoverEv = null;   // last pointer position over the canvas (processed once per frame)
+    this._hoverDirty = false;
+
+    // click-through cycling: { x, y, list: candidates front to back, index }
+    this._cycle = null;
+
+    /** Max pointer travel (px) between clicks that still counts as "the same spot". */
+    this.cycleRadius = 4;
+
+    // gizmo target for group transforms (never rendered, never picked)
+    this.pivot = new THREE.Object3D();
+    this.pivot.name = "selection_pivot";
+    this.scene.add(this.pivot);
+    this._groupDrag = null;
+
+    this.gizmo?.addEventListener?.("mouseDown", () => {
+      if (this.gizmo.object === this.pivot) this._beginGroupDrag();
+    });
+    this.gizmo?.addEventListener?.("objectChange", () => {
+      if (this.gizmo.object === this.pivot) this._applyGroupDrag();
+    });
+    this.gizmo?.addEventListener?.("mouseUp", () => {
+      if (!this._groupDrag) return;
+      this._groupDrag = null;
+      this.updatePivot();
+    });
+
     this._onPointerDown = (e) => this.onPointerDown(e);
     this._onKeyDown = (e) => this.onKeyDown(e);
 
@@ -72,34 +155,169 @@ export class SelectionController {
     // outline stays in scene unless you want to remove it
   }
 
+  /** Active object (last clicked). */
   getSelected() {
     return this.selected;
   }
 
+  /** Every selected object (copy). */
+  getSelection() {
+    return this.selectedSet.slice();
+  }
+
+  isSelected(obj) {
+    return this.selectedSet.includes(obj);
+  }
+
   setSelection(obj) {
-    this.selected = obj || null;
+    this.setSelectionSet(obj ? [obj] : []);
+  }
 
+  /**
+   * Replace the whole selection.
+   * @param {THREE.Object3D[]} objs
+   * @param {THREE.Object3D|null} [active] defaults to the last one
+   */
+  setSelectionSet(objs, active = null) {
+    this.selectedSet = [...new Set((objs || []).filter(Boolean))];
+    this.selected = this.selectedSet.includes(active) ? active : this.selectedSet[this.selectedSet.length - 1] || null;
+
+    this._syncUI();
     if (!this.selected) {
-      this._syncUI();
       this.gizmo?.detach?.();
       this.outline.visible = false;
-      return;
+      this.linkedOutline.visible = false;
+      this.groupOutline.visible = false;
+    } else {
+      this._attachGizmo();
+      this.updateOutline();
     }
+    this.onChange?.(this.getSelection(), this.selected);
+  }
 
-    this._syncUI();
-    this.gizmo?.attach?.(this.selected);
-    this.updateOutline();
+  /** Shift-click: add obj (and make it active) or remove it from the selection. */
+  toggleSelection(obj) {
+    if (!obj) return;
+    if (this.isSelected(obj)) this.setSelectionSet(this.selectedSet.filter((o) => o !== obj));
+    else this.setSelectionSet([...this.selectedSet, obj], obj);
   }
 
   clearSelection() {
-    this.selected = null;
-    this._syncUI();
-    this.gizmo?.detach?.();
-    this.outline.visible = false;
+    this.setSelectionSet([]);
     this._toast("Selection cleared");
   }
 
+  /** Re-place the group pivot (selection changed, pivot mode changed, objects moved elsewhere). */
+  updatePivot() {
+    if (this.selectedSet.length < 2 || this._groupDrag) return;
+
+    if (this.getPivotMode() === "active" && this.selected) {
+      this.selected.updateWorldMatrix(true, false);
+      this.selected.matrixWorld.decompose(this.pivot.position, this.pivot.quaternion, _tmpScale);
+    } else {
+      this.pivot.position.set(0, 0, 0);
+      this.selectedSet.forEach((o) => this.pivot.position.add(o.getWorldPosition(_tmpPos)));
+      this.pivot.position.divideScalar(this.selectedSet.length);
+      this.pivot.quaternion.identity();
+    }
+    this.pivot.scale.set(1, 1, 1);
+    this.pivot.updateMatrixWorld(true);
+  }
+
+  /** Re-attach the gizmo after a mode change (scale mode skips joint-only selections). */
+  refreshGizmo() {
+    if (this.selected) this._attachGizmo();
+  }
+
+  _attachGizmo() {
+    // scale mode is for props only: joints keep their proportions
+    if (this.getMode() === "scale" && !this.selectedSet.some((o) => o.userData?.isProp)) {
+      this.gizmo?.detach?.();
+      return;
+    }
+    if (this.selectedSet.length > 1) {
+      this.updatePivot();
+      this.gizmo?.attach?.(this.pivot);
+    } else {
+      this.gizmo?.attach?.(this.selected);
+    }
+  }
+
+  /* ---------------- group transform ---------------- */
+
+  _beginGroupDrag() {
+    const depth = (o) => {
+      let n = 0;
+      for (let p = o.parent; p; p = p.parent) n++;
+      return n;
+    };
+
+    this.pivot.updateMatrixWorld(true);
+    this._groupDrag = {
+      pivotInv: this.pivot.matrixWorld.clone().invert(),
+      pivotPos: this.pivot.position.clone(),
+      pivotQuatInv: this.pivot.quaternion.clone().invert(),
+      // parents first, so children see their parent's new transform
+      items: this.selectedSet
+        .slice()
+        .sort((a, b) => depth(a) - depth(b))
+        .map((obj) => {
+          obj.updateWorldMatrix(true, false);
+          return {
+            obj,
+            world: obj.matrixWorld.clone(),
+            pos: obj.getWorldPosition(new THREE.Vector3()),
+            localQuat: obj.quaternion.clone(),
+            parentQuat: obj.parent ? obj.parent.getWorldQuaternion(new THREE.Quaternion()) : new THREE.Quaternion(),
+            nested: this._hasSelectedAncestor(obj)
+          };
+        })
+    };
+  }
+
+  _hasSelectedAncestor(obj) {
+    for (let p = obj.parent; p; p = p.parent) if (this.selectedSet.includes(p)) return true;
+    return false;
+  }
+
+  _applyGroupDrag() {
+    const d = this._groupDrag;
+    if (!d) return;
+
+    this.constrainPivot?.(this.pivot);
+    this.pivot.updateMatrixWorld(true);
+    const delta = this.pivot.matrixWorld.clone().multiply(d.pivotInv);
+    const dq = this.pivot.quaternion.clone().multiply(d.pivotQuatInv);
+    const dp = this.pivot.position.clone().sub(d.pivotPos);
+
+    const moving = this.getMode() === "move";
+
+    d.items.forEach(({ obj, world, pos, localQuat, parentQuat, nested }) => {
+      const parent = obj.parent;
+      parent?.updateWorldMatrix(true, false);
+      const parentInv = parent ? parent.matrixWorld.clone().invert() : new THREE.Matrix4();
+
+      if (obj.userData?.isJoint) {
+        // world delta expressed in the parent's drag-start frame, applied on the local rotation
+        const localDelta = parentQuat.clone().invert().multiply(dq).multiply(parentQuat);
+        obj.quaternion.copy(localDelta.multiply(localQuat));
+        // only the top-level joints translate; the rest follow their (moved) parent
+        if (moving && !nested) obj.position.copy(pos.clone().add(dp).applyMatrix4(parentInv));
+      } else {
+        parentInv.multiply(delta.clone().multiply(world)).decompose(obj.position, obj.quaternion, obj.scale);
+      }
+      obj.updateWorldMatrix(false, true);
+    });
+
+    this.onGroupChange?.(d.items.map((it) => it.obj));
+  }
+
+  /* ---------------- outlines ---------------- */
+
   updateOutline() {
+    this.updatePivot();
+    this.updateLinkedOutline();
+    this.updateGroupOutline();
     if (!this.getShowOutline() || !this.selected) {
       this.outline.visible = false;
       return;
@@ -108,6 +326,27 @@ export class SelectionController {
     this.outline.visible = true;
   }
 
+  updateLinkedOutline() {
+    const linked = this.selected && this.getShowOutline() ? this.getLinked(this.selected) : null;
+    if (!linked) {
+      this.linkedOutline.visible = false;
+      return;
+    }
+    this.linkedOutline.setFromObject(linked);
+    this.linkedOutline.visible = true;
+  }
+
+  /** Combined bounds of a multi-selection (call per frame while objects move). */
+  updateGroupOutline() {
+    if (this.selectedSet.length < 2 || !this.getShowOutline()) {
+      this.groupOutline.visible = false;
+      return;
+    }
+    this.groupBox.makeEmpty();
+    this.selectedSet.forEach((o) => this.groupBox.expandByObject(o));
+    this.groupOutline.visible = true;
+  }
+
   tick() {
     // call per frame from render loop if you want outline to follow transforms
     if (this.selected && this.getShowOutline()) {
@@ -116,12 +355,15 @@ export class SelectionController {
     } else {
       this.outline.visible = false;
     }
+    this.updateLinkedOutline();
+    this.updateGroupOutline();
   }
 
   focusSelection() {
     if (!this.selected) return;
 
-    const box = new THREE.Box3().setFromObject(this.selected);
+    const box = new THREE.Box3();
+    this.selectedSet.forEach((o) => box.expandByObject(o));
     const size = box.getSize(new THREE.Vector3()).length();
     const center = box.getCenter(new THREE.Vector3());
 
@@ -135,17 +377,88 @@ export class SelectionController {
     this._toast("Focused");
   }
 
+  /** @returns {THREE.Object3D|null} the picked object (null = empty space or blocked) */
   onPointerDown(ev) {
     // block selection when orbit mode is active
-    if (this.getMode() === "orbit") return;
+    if (this.getMode() === "orbit") return null;
     // block selection if help modal is open
-    if (this.ui.helpModal && !this.ui.helpModal.classList.contains("hidden")) return;
+    if (this.ui.helpModal && !this.ui.helpModal.classList.contains("hidden")) return null;
+
+    const list = this.pickCandidates(ev);
+    if (!list.length) {
+      this._cycle = null;
+      return null;
+    }
+
+    // same spot + same stack under the cursor: step to the next candidate behind
+    let index = 0;
+    const c = this._cycle;
+    if (!ev.shiftKey && c && this._sameSpot(c, ev) && this._sameList(c.list, list)) index = (c.index + 1) % list.length;
+    this._cycle = { x: ev.clientX, y: ev.clientY, list, index };
+    this._hoverDirty = true;
+
+    const obj = list[index];
+    if (ev.shiftKey) {
+      const had = this.isSelected(obj);
+      this.toggleSelection(obj);
+      this._toast(`${had ? "Removed" : "Added"}: ${obj.name || "object"} (${this.selectedSet.length} selected)`);
+      return obj;
+    }
+    this.setSelection(obj);
+    this._toast(list.length > 1 ? `Selected: ${obj.name || "object"} (${index + 1}/${list.length}, click again for the next)` : `Selected: ${obj.name || "object"}`);
+    return obj;
+  }
 
-    const obj = this.pickFromPointer(ev);
-    if (obj) {
-      this.setSelection(obj);
-      this._toast(`Selected: ${obj.name || "object"}`);
+  _sameSpot(c, ev) {
+    return Math.hypot(ev.clientX - c.x, ev.clientY - c.y) <= this.cycleRadius;
+  }
+
+  _sameList(a, b) {
+    return a.length === b.length && a.every((o, i) => o === b[i]);
+  }
+
+  /* ---------------- hover ---------------- */
+
+  /** Remember the pointer; the raycast happens in updateHover() (once per frame). */
+  onPointerMove(ev) {
+    this._hoverEv = { clientX: ev.clientX, clientY: ev.clientY, buttons: ev.buttons };
+    this._hoverDirty = true;
+  }
+
+  /** Pointer left the canvas. */
+  clearHover() {
+    this._hoverEv = null;
+    this._hoverDirty = true;
+  }
+
+  /** Call per frame: re-pick after pointer moves, keep the hover box on moving objects. */
+  updateHover() {
+    if (this._hoverDirty) {
+      this._hoverDirty = false;
+      this.hovered = this._pickHover();
+      this.canvas.style.cursor = this.hovered ? "pointer" : "";
     }
+
+    const mode = this.getMode();
+    const show = this.hovered && !this.isSelected(this.hovered) && !this.gizmo?.dragging && mode !== "orbit" && mode !== "ik";
+    if (show) this.hoverOutline.setFromObject(this.hovered);
+    this.hoverOutline.visible = !!show;
+  }
+
+  _pickHover() {
+    const ev = this._hoverEv;
+    if (!ev || ev.buttons) return null; // dragging (gizmo, marquee, orbit)
+    const mode = this.getMode();
+    if (mode === "orbit" || mode === "ik") return null;
+    if (this.gizmo?.axis) return null;  // over a gizmo handle
+
+    const list = this.pickCandidates(ev);
+    if (!list.length) return null;
+
+    // at the last click spot, preview what the next click would cycle to
+    const c = this._cycle;
+    if (c && this._sameSpot(c, ev) && this._sameList(c.list, list)) return list[(c.index + 1) % list.length];
+    return list[0];
   }
 
   onKeyDown(ev) {
@@ -163,7 +476,16 @@ export class SelectionController {
     }
   }
 
+  /** Front-most selectable object under the pointer (IK uses this too). */
   pickFromPointer(ev) {
+    return this.pickCandidates(ev)[0] || null;
+  }
+
+  /**
+   * Every selectable joint/prop under the pointer, front to back (one entry per object).
+   * @returns {THREE.Object3D[]}
+   */
+  pickCandidates(ev) {
     const rect = this.canvas.getBoundingClientRect();
     this.pointer.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
     this.pointer.y = -(((ev.clientY - rect.top) / rect.height) * 2 - 1);
@@ -171,35 +493,54 @@ export class SelectionController {
     this.raycaster.setFromCamera(this.pointer, this.camera);
 
     const pickables = [];
+    // onion-skin ghosts (animation/onion-skin.js) are display-only, never pick them
+    const isPickable = (obj) => !!obj?.userData?.pickable && !obj.userData.ghost;
 
     // character pickables
     this.world.root?.traverse?.((obj) => {
-      if (obj?.userData?.pickable) pickables.push(obj);
+      if (isPickable(obj)) pickables.push(obj);
     });
 
     // props pickables
     (this.world.props || []).forEach((p) => {
       p?.traverse?.((obj) => {
-        if (obj?.userData?.pickable) pickables.push(obj);
+        if (isPickable(obj)) pickables.push(obj);
       });
     });
 
-    const hits = this.raycaster.intersectObjects(pickables, true);
-    if (!hits.length) return null;
+    const hits = this.raycaster.intersectObjects(pickables, true).filter((h) => !h.object?.userData?.ghost);
+
+    // climb to joint group or prop group (same logic as your app.js);
+    // hidden/locked objects are skipped, so a click goes through to whatever is behind them
+    const targetOf = (hitObj) => {
+      let o = hitObj;
+      while (o && o.parent) {
+        if (o.parent?.userData?.isJoint) return o.parent;
+        if (o.userData?.isProp) return o;
+        o = o.parent;
+      }
+      return hitObj;
+    };
 
-    // climb to joint group or prop group (same logic as your app.js)
-    let o = hits[0].object;
-    while (o && o.parent) {
-      if (o.parent?.userData?.isJoint) return o.parent;
-      if (o.userData?.isProp) return o;
-      o = o.parent;
+    const out = [];
+    for (const h of hits) {
+      const target = targetOf(h.object);
+      if (isViewportSelectable(target) && !out.includes(target)) out.push(target);
     }
-    return hits[0].object;
+    return out;
   }
 
   _syncUI() {
     if (!this.ui.selectionName) return;
-    this.ui.selectionName.value = this.selected ? (this.selected.name || "(unnamed)") : "None";
+    const name = this.selected ? this.selected.name || "(unnamed)" : "None";
+    const n = this.selectedSet.length;
+
+    // which of several overlapping candidates is active
+    const c = this._cycle;
+    const cycled = n === 1 && c && c.list.length > 1 && c.list[c.index] === this.selected;
+
+    this.ui.selectionName.value = n > 1 ? `${n} selected (active: ${name})` : cycled ? `${name} (${c.index + 1}/${c.list.length})` : name;
+    this.ui.selectionName.title = cycled ? `${c.list.length} objects under the cursor: click the same spot again for the next one` : "";
   }
 
   _toast(msg, ms = 1200) {
@@ -0,0 +1,158 @@
+// core/history.js
+// Undo/redo stack for pose, prop and scene edits.
+// Snapshot based: each entry stores a "before" and "after" capture of the world,
+// so one user action (a gizmo drag, a Scatter, a preset apply...) is always one step.
+//
+// This module does NOT know about Three.js or the world layout; you inject:
+// - capture(): returns an opaque snapshot of the current state
+// - restore(snapshot): puts that snapshot back into the scene
+// - isEqual(a, b): (optional) used to drop no-op entries (e.g. a click on the gizmo without moving)
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label
+ * @property {any} before
+ * @property {any} after
+ */
+
+export function createHistory({
+  capture,               // ()=>any
+  restore,               // (snapshot:any)=>void
+  isEqual = null,        // (a:any, b:any)=>boolean
+  limit = 100,           // max undo steps kept
+  onChange = null        // (info:{ canUndo:boolean, canRedo:boolean, label:string, action:string })=>void
+} = {}) {
+  if (typeof capture !== "function" || typeof restore !== "function") {
+    throw new Error("createHistory: capture/restore are required");
+  }
+
+  /** @type {HistoryEntry[]} */
+  const undoStack = [];
+  /** @type {HistoryEntry[]} */
+  const redoStack = [];
+
+  // open transaction (begin() ... commit())
+  let pending = null;
+
+  // true while undo/redo restores a snapshot (so callers don't record the restore itself)
+  let restoring = false;
+
+  function notify(action, label = "") {
+    try {
+      onChange?.({ canUndo: canUndo(), canRedo: canRedo(), label, action });
+    } catch (e) {
+      console.warn(e);
+    }
+  }
+
+  function push(entry) {
+    if (isEqual && isEqual(entry.before, entry.after)) return false;
+
+    undoStack.push(entry);
+    while (undoStack.length > Math.max(1, limit)) undoStack.shift();
+    redoStack.length = 0;
+
+    notify("push", entry.label);
+    return true;
+  }
+
+  /**
+   * Start a transaction (e.g. on gizmo drag start). Nested begin() calls are ignored.
+   * @param {string} label
+   */
+  function begin(label) {
+    if (restoring || pending) return;
+    pending = { label: String(label || "Edit"), before: capture() };
+  }
+
+  /** Close the open transaction and push it if anything changed. */
+  function commit() {
+    if (!pending) return false;
+    const entry = { label: pending.label, before: pending.before, after: capture() };
+    pending = null;
+    return push(entry);
+  }
+
+  /** Drop the open transaction without recording it. */
+  function cancel() {
+    pending = null;
+  }
+
+  /**
+   * Run fn() as a single undoable step.
+   * If a transaction is already open (or we are restoring), fn just runs.
+   * @template T
+   * @param {string} label
+   * @param {()=>T} fn
+   * @returns {T}
+   */
+  function record(label, fn) {
+    if (restoring || pending) return fn();
+
+    begin(label);
+    try {
+      const result = fn();
+      commit();
+      return result;
+    } catch (e) {
+      // keep whatever partially happened undoable
+      commit();
+      throw e;
+    }
+  }
+
+  function undo() {
+    if (pending) commit();
+    const entry = undoStack.pop();
+    if (!entry) return null;
+
+    restoring = true;
+    try {
+      restore(entry.before);
+    } finally {
+      restoring = false;
+    }
+
+    redoStack.push(entry);
+    notify("undo", entry.label);
+    return entry.label;
+  }
+
+  function redo() {
+    if (pending) return null;
+    const entry = redoStack.pop();
+    if (!entry) return null;
+
+    restoring = true;
+    try {
+      restore(entry.after);
+    } finally {
+      restoring = false;
+    }
+
+    undoStack.push(entry);
+    notify("redo", entry.label);
+    return entry.label;
+  }
+
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+
+  function isRestoring() {
+    return restoring;
+  }
+
+  function clear() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    pending = null;
+    notify("clear");
+  }
+
+  return { begin, commit, cancel, record, undo, redo, canUndo, canRedo, isRestoring, clear };
+}
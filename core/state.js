@@ -11,25 +11,45 @@
 
 /**
  * @typedef {Object} AppState
- * @property {"rotate"|"move"|"orbit"} mode
+ * @property {"rotate"|"move"|"scale"|"orbit"|"ik"} mode   scale = props only
+ * @property {"local"|"world"} space   gizmo orientation
  * @property {AxisState} axis
  * @property {number} snapDeg
+ * @property {number} snapMove   translation grid step (0 = off)
+ * @property {number} snapScale  scale step (0 = off)
+ * @property {boolean} uniformScale  scale gizmo keeps proportions
+ * @property {"off"|"mirror"|"opposite"} symmetry
+ * @property {"center"|"active"} pivot   group transform pivot for multi-selection
+ * @property {"box"|"lasso"} marqueeShape   drag-select shape on empty canvas space
+ * @property {"all"|"joints"|"props"} marqueeFilter  what drag-select picks up
  * @property {boolean} showGrid
  * @property {boolean} showAxes
  * @property {boolean} showOutline
  * @property {boolean} perfEnabled
+ * @property {boolean} constraintsEnabled   joint limits on gizmo rotation + random pose
+ * @property {"keep"|"clamp"} constraintsOnLoad  what to do with out-of-range joints in loaded poses
  */
 
 export function createState() {
   /** @type {AppState} */
   const STATE = {
     mode: "rotate",
+    space: "local",
     axis: { x: true, y: true, z: true },
     snapDeg: 10,
+    snapMove: 0,
+    snapScale: 0,
+    uniformScale: true,
+    symmetry: "off",
+    pivot: "center",
+    marqueeShape: "box",
+    marqueeFilter: "all",
     showGrid: true,
     showAxes: false,
     showOutline: true,
-    perfEnabled: false
+    perfEnabled: false,
+    constraintsEnabled: true,
+    constraintsOnLoad: "keep"
   };
 
   return STATE;
@@ -51,6 +71,43 @@ export function setSnapDeg(state, deg) {
   return state.snapDeg;
 }
 
+export function setSpace(state, space) {
+  state.space = space === "world" ? "world" : "local";
+  return state.space;
+}
+
+export function setSnapMove(state, step) {
+  const n = Number(step);
+  state.snapMove = Number.isFinite(n) && n > 0 ? n : 0;
+  return state.snapMove;
+}
+
+export function setSnapScale(state, step) {
+  const n = Number(step);
+  state.snapScale = Number.isFinite(n) && n > 0 ? n : 0;
+  return state.snapScale;
+}
+
+export function setUniformScale(state, on) {
+  state.uniformScale = !!on;
+  return state.uniformScale;
+}
+
+export function setPivot(state, pivot) {
+  state.pivot = pivot === "active" ? "active" : "center";
+  return state.pivot;
+}
+
+export function setMarqueeShape(state, shape) {
+  state.marqueeShape = shape === "lasso" ? "lasso" : "box";
+  return state.marqueeShape;
+}
+
+export function setMarqueeFilter(state, filter) {
+  state.marqueeFilter = filter === "joints" || filter === "props" ? filter : "all";
+  return state.marqueeFilter;
+}
+
 export function setShowGrid(state, on) {
   state.showGrid = !!on;
   return state.showGrid;
@@ -70,3 +127,13 @@ export function setPerfEnabled(state, on) {
   state.perfEnabled = !!on;
   return state.perfEnabled;
 }
+
+export function setConstraintsEnabled(state, on) {
+  state.constraintsEnabled = !!on;
+  return state.constraintsEnabled;
+}
+
+export function setConstraintsOnLoad(state, mode) {
+  state.constraintsOnLoad = mode === "clamp" ? "clamp" : "keep";
+  return state.constraintsOnLoad;
+}
@@ -267,3 +267,94 @@ export function clearProps(world, scene) {
   });
   world.props.length = 0;
 }
+
+/* ---------------- SNAPSHOTS (undo/redo) ---------------- */
+
+/**
+ * Capture joint transforms + the current prop list (by reference) and their transforms.
+ * Props are kept as objects so a deleted prop can be put back exactly as it was.
+ * @param {World} world
+ * @returns {{ joints: Object<string,{position:number[],quaternion:number[]}>, props: Object[] }}
+ */
+export function captureWorldSnapshot(world) {
+  const joints = {};
+  world.joints.forEach(j => {
+    joints[j.name] = {
+      position: j.position.toArray(),
+      quaternion: j.quaternion.toArray()
+    };
+  });
+
+  const props = world.props.map(p => ({
+    prop: p,
+    name: p.name,
+    position: p.position.toArray(),
+    quaternion: p.quaternion.toArray(),
+    scale: p.scale.toArray()
+  }));
+
+  return { joints, props };
+}
+
+/**
+ * Put a snapshot from captureWorldSnapshot() back into world + scene.
+ * @param {World} world
+ * @param {THREE.Scene} scene
+ * @param {ReturnType<typeof captureWorldSnapshot>} snap
+ */
+export function restoreWorldSnapshot(world, scene, snap) {
+  if (!snap) return;
+
+  world.joints.forEach(j => {
+    const s = snap.joints[j.name];
+    if (!s) return;
+    j.position.fromArray(s.position);
+    j.quaternion.fromArray(s.quaternion);
+  });
+
+  const keep = new Set(snap.props.map(s => s.prop));
+  world.props.forEach(p => {
+    if (!keep.has(p) && scene) scene.remove(p);
+  });
+  world.props.length = 0;
+
+  snap.props.forEach(s => {
+    const p = s.prop;
+    world.props.push(p);
+    if (scene && p.parent !== scene) scene.add(p);
+    p.name = s.name;
+    p.position.fromArray(s.position);
+    p.quaternion.fromArray(s.quaternion);
+    p.scale.fromArray(s.scale);
+  });
+}
+
+/**
+ * Cheap equality check so no-op edits don't end up in the history.
+ * @param {ReturnType<typeof captureWorldSnapshot>} a
+ * @param {ReturnType<typeof captureWorldSnapshot>} b
+ * @returns {boolean}
+ */
+export function worldSnapshotsEqual(a, b) {
+  if (!a || !b) return a === b;
+  if (a.props.length !== b.props.length) return false;
+
+  const sameArr = (x, y) => x.length === y.length && x.every((v, i) => Math.abs(v - y[i]) < 1e-7);
+
+  for (let i = 0; i < a.props.length; i++) {
+    const pa = a.props[i];
+    const pb = b.props[i];
+    if (pa.prop !== pb.prop || pa.name !== pb.name) return false;
+    if (!sameArr(pa.position, pb.position) || !sameArr(pa.quaternion, pb.quaternion) || !sameArr(pa.scale, pb.scale)) {
+      return false;
+    }
+  }
+
+  const names = Object.keys(a.joints);
+  if (names.length !== Object.keys(b.joints).length) return false;
+  return names.every(n => {
+    const ja = a.joints[n];
+    const jb = b.joints[n];
+    return !!jb && sameArr(ja.position, jb.position) && sameArr(ja.quaternion, jb.quaternion);
+  });
+}
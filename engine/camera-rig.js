@@ -0,0 +1,284 @@
+// engine/camera-rig.js
+// Viewport camera rig: a perspective + an orthographic camera sharing one OrbitControls.
+// - setProjection(): swap cameras while keeping the framing (ortho height = perspective view
+//   height at the orbit target distance, and back)
+// - setFov() / setFocalLength(): perspective lens (kept while in ortho for switching back)
+// - viewPreset(name): front/back/left/right/top/three-quarter around the orbit target
+// - getView() / setView(): plain JSON snapshots for camera bookmarks (saved with the pose)
+//
+// View changes are eased: call update() every frame. onCameraChange(camera) fires when the active
+// camera object changes, so app.js can hand it to the gizmo, picking, marquee and render loop.
+
+import * as THREE from "three";
+
+/** Camera directions from the orbit target (left/right = the character's l_* / r_* side). */
+export const VIEW_PRESETS = {
+  front: { label: "Front", dir: [0, 0, 1] },
+  back: { label: "Back", dir: [0, 0, -1] },
+  left: { label: "Left", dir: [-1, 0, 0] },
+  right: { label: "Right", dir: [1, 0, 0] },
+  top: { label: "Top", dir: [0, 1, 0] },
+  threeQuarter: { label: "3/4", dir: [1, 0.45, 1] }
+};
+
+export const FOV_RANGE = [10, 100];
+
+const TRANSITION_MS = 420;
+const POLE_EPS = 1e-4; // keep top views off the exact pole (OrbitControls up = +Y)
+
+const _offset = new THREE.Vector3();
+const _fallbackTarget = new THREE.Vector3(0, 1.05, 0);
+const _dir = new THREE.Vector3();
+
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+/**
+ * @param {{
+ *  camera: THREE.PerspectiveCamera,   // the scene camera (createScene)
+ *  orbit?: any,                       // OrbitControls driving it
+ *  onCameraChange?: (camera:THREE.Camera)=>void
+ * }} opts
+ */
+export function createCameraRig({ camera, orbit = null, onCameraChange = null } = {}) {
+  if (!camera?.isPerspectiveCamera) throw new Error("createCameraRig: a PerspectiveCamera is required");
+
+  const perspective = camera;
+  const ortho = new THREE.OrthographicCamera(-1, 1, 1, -1, perspective.near, perspective.far);
+  ortho.name = "ortho_camera";
+
+  let active = perspective;
+  let transition = null; // { t0, from, to }
+
+  const target = () => orbit?.target || _fallbackTarget;
+
+  // grabbing the view (orbit/pan/zoom) stops a running transition
+  orbit?.addEventListener?.("start", () => cancelTransition());
+
+  /** Visible height (world units) at the orbit target for the active camera. */
+  function viewHeight() {
+    if (active.isOrthographicCamera) return (ortho.top - ortho.bottom) / ortho.zoom;
+    const dist = perspective.position.distanceTo(target());
+    return 2 * dist * Math.tan(THREE.MathUtils.degToRad(perspective.fov) / 2);
+  }
+
+  /** Ortho frustum for a visible height (zoom reset to 1 so OrbitControls zooms from there). */
+  function setOrthoHeight(height) {
+    const h = Math.max(0.01, height) / 2;
+    ortho.top = h;
+    ortho.bottom = -h;
+    ortho.left = -h * perspective.aspect;
+    ortho.right = h * perspective.aspect;
+    ortho.zoom = 1;
+    ortho.updateProjectionMatrix();
+  }
+
+  function distanceForHeight(height) {
+    return height / 2 / Math.tan(THREE.MathUtils.degToRad(perspective.fov) / 2);
+  }
+
+  function activate(cam) {
+    if (cam === active) return;
+    active = cam;
+    if (orbit) orbit.object = cam;
+    onCameraChange?.(cam);
+  }
+
+  function setProjection(kind) {
+    const wantOrtho = kind === "orthographic";
+    if (wantOrtho === !!active.isOrthographicCamera) return getProjection();
+    transition = null;
+
+    const height = viewHeight();
+    if (wantOrtho) {
+      setOrthoHeight(height);
+      ortho.position.copy(perspective.position);
+      ortho.quaternion.copy(perspective.quaternion);
+      activate(ortho);
+    } else {
+      // dolly so the perspective view shows the same height at the target
+      _dir.copy(ortho.position).sub(target()).normalize();
+      perspective.position.copy(target()).addScaledVector(_dir, distanceForHeight(height));
+      perspective.quaternion.copy(ortho.quaternion);
+      activate(perspective);
+    }
+    orbit?.update?.();
+    return getProjection();
+  }
+
+  function getProjection() {
+    return active.isOrthographicCamera ? "orthographic" : "perspective";
+  }
+
+  function toggleProjection() {
+    return setProjection(active.isOrthographicCamera ? "perspective" : "orthographic");
+  }
+
+  function setFov(deg) {
+    const n = Number(deg);
+    if (!Number.isFinite(n)) return perspective.fov;
+    perspective.fov = THREE.MathUtils.clamp(n, FOV_RANGE[0], FOV_RANGE[1]);
+    perspective.updateProjectionMatrix();
+    return perspective.fov;
+  }
+
+  /** Focal length in mm (35 mm film gauge, like PerspectiveCamera.setFocalLength). */
+  function setFocalLength(mm) {
+    const n = Number(mm);
+    if (!Number.isFinite(n) || n <= 0) return getFocalLength();
+    perspective.setFocalLength(n);
+    setFov(perspective.fov); // clamp
+    return getFocalLength();
+  }
+
+  function getFocalLength() {
+    return perspective.getFocalLength();
+  }
+
+  function setAspect(aspect) {
+    if (!Number.isFinite(aspect) || aspect <= 0) return;
+    perspective.aspect = aspect;
+    perspective.updateProjectionMatrix();
+    const h = (ortho.top - ortho.bottom) / 2;
+    ortho.left = -h * aspect;
+    ortho.right = h * aspect;
+    ortho.updateProjectionMatrix();
+  }
+
+  /** After something moved the camera closer/further (focus): ortho shows what perspective would. */
+  function matchOrthoToDistance() {
+    if (!active.isOrthographicCamera) return;
+    const dist = ortho.position.distanceTo(target());
+    setOrthoHeight(2 * dist * Math.tan(THREE.MathUtils.degToRad(perspective.fov) / 2));
+  }
+
+  /* ---------------- views ---------------- */
+
+  /**
+   * JSON snapshot of the current view.
+   * @returns {{ projection:"perspective"|"orthographic", position:number[], target:number[], fov:number, height:number }}
+   */
+  function getView() {
+    const round = (n) => Number(n.toFixed(4));
+    return {
+      projection: getProjection(),
+      position: active.position.toArray().map(round),
+      target: target().toArray().map(round),
+      fov: round(perspective.fov),
+      height: round(viewHeight())
+    };
+  }
+
+  /**
+   * Go to a view (bookmark / preset). The projection switches at once, the rest is eased.
+   * @param {ReturnType<typeof getView>} view
+   * @param {{ animate?: boolean }} [opts]
+   */
+  function setView(view, { animate = true } = {}) {
+    if (!view) return;
+    if (view.projection) setProjection(view.projection);
+
+    const to = {
+      position: new THREE.Vector3().fromArray(view.position),
+      target: new THREE.Vector3().fromArray(view.target || target().toArray()),
+      fov: Number.isFinite(view.fov) ? view.fov : perspective.fov,
+      height: Number.isFinite(view.height) ? view.height : viewHeight()
+    };
+
+    const from = {
+      position: active.position.clone(),
+      target: target().clone(),
+      fov: perspective.fov,
+      height: viewHeight()
+    };
+
+    transition = { t0: performance.now(), from, to };
+    if (!animate) update(Infinity);
+  }
+
+  /**
+   * Ease to a preset direction around the current target, same distance.
+   * @param {keyof VIEW_PRESETS} name
+   */
+  function viewPreset(name, opts) {
+    const preset = VIEW_PRESETS[name];
+    if (!preset) return false;
+
+    const t = target();
+    const dist = active.position.distanceTo(t);
+    _dir.fromArray(preset.dir).normalize();
+    if (Math.abs(_dir.y) > 1 - POLE_EPS) _dir.set(0, Math.sign(_dir.y), POLE_EPS).normalize();
+
+    setView(
+      {
+        position: t.clone().addScaledVector(_dir, dist).toArray(),
+        target: t.toArray(),
+        fov: perspective.fov,
+        height: viewHeight()
+      },
+      opts
+    );
+    return true;
+  }
+
+  function isTransitioning() {
+    return !!transition;
+  }
+
+  function cancelTransition() {
+    transition = null;
+  }
+
+  /** Per frame: advance a running view transition (orbits around the target, no flying through it). */
+  function update(now = performance.now()) {
+    const tr = transition;
+    if (!tr) return;
+
+    const k = easeInOut(Math.min(1, (now - tr.t0) / TRANSITION_MS));
+    const from = new THREE.Spherical().setFromVector3(_offset.copy(tr.from.position).sub(tr.from.target));
+    const to = new THREE.Spherical().setFromVector3(_offset.copy(tr.to.position).sub(tr.to.target));
+
+    let dTheta = to.theta - from.theta;
+    if (dTheta > Math.PI) dTheta -= 2 * Math.PI;
+    if (dTheta < -Math.PI) dTheta += 2 * Math.PI;
+
+    const s = new THREE.Spherical(
+      THREE.MathUtils.lerp(from.radius, to.radius, k),
+      THREE.MathUtils.lerp(from.phi, to.phi, k),
+      from.theta + dTheta * k
+    ).makeSafe();
+
+    const t = target();
+    t.lerpVectors(tr.from.target, tr.to.target, k);
+    active.position.setFromSpherical(s).add(t);
+    active.lookAt(t);
+
+    setFov(THREE.MathUtils.lerp(tr.from.fov, tr.to.fov, k));
+    if (active.isOrthographicCamera) setOrthoHeight(THREE.MathUtils.lerp(tr.from.height, tr.to.height, k));
+
+    orbit?.update?.();
+    if (k >= 1) transition = null;
+  }
+
+  return {
+    perspective,
+    ortho,
+    getCamera: () => active,
+    getProjection,
+    setProjection,
+    toggleProjection,
+    setFov,
+    getFov: () => perspective.fov,
+    setFocalLength,
+    getFocalLength,
+    setAspect,
+    matchOrthoToDistance,
+    getView,
+    setView,
+    viewPreset,
+    isTransitioning,
+    cancelTransition,
+    update
+  };
+}
@@ -0,0 +1,173 @@
+// engine/image-export.js
+// Offscreen PNG export: renders the scene into a render target at any size (not tied to the
+// window, the on-screen canvas is never resized), optionally with a transparent background and
+// with helpers hidden, then encodes the pixels as a PNG blob.
+//
+// Render targets skip the renderer's tone mapping + sRGB output, so the scene is rendered into a
+// half-float target first and OutputPass applies the same tone mapping / color space after.
+//
+// The crop frame (controls/export-dialog.js) and the export camera share cropFrameRect()/frameCamera(),
+// so the PNG shows exactly what's inside the frame drawn over the viewport.
+
+import * as THREE from "three";
+import { OutputPass } from "three/addons/postprocessing/OutputPass.js";
+
+/**
+ * Largest side we render. One export holds a half-float scene target (8 B/px, ×4 with MSAA), an
+ * 8-bit output target and two CPU copies of the pixels at once: at 4096² that's ~0.5 GiB, which
+ * ordinary GPUs/tabs survive; 8192² with MSAA would be well over 2 GiB.
+ */
+export const MAX_EXPORT_SIZE = 4096;
+
+/** Above this many pixels the scene target is rendered without MSAA (4 samples = 4× the memory). */
+export const MSAA_PIXEL_BUDGET = 2048 * 2048;
+
+/**
+ * The largest rect of `aspect` centered in a view (CSS px).
+ * @returns {{ x:number, y:number, width:number, height:number }}
+ */
+export function cropFrameRect(viewWidth, viewHeight, aspect) {
+  const viewAspect = viewWidth / viewHeight;
+  const width = aspect >= viewAspect ? viewWidth : viewHeight * aspect;
+  const height = aspect >= viewAspect ? viewWidth / aspect : viewHeight;
+  return { x: (viewWidth - width) / 2, y: (viewHeight - height) / 2, width, height };
+}
+
+/**
+ * Copy of the viewport camera that sees only the crop frame (same center, same scale on screen).
+ * @param {THREE.PerspectiveCamera|THREE.OrthographicCamera} camera
+ * @param {number} viewAspect viewport width / height
+ * @param {number} aspect frame width / height
+ */
+export function frameCamera(camera, viewAspect, aspect) {
+  const cam = camera.clone();
+  // a frame wider than the viewport is letterboxed: it covers less than the full view height
+  const k = aspect > viewAspect ? viewAspect / aspect : 1;
+
+  if (cam.isPerspectiveCamera) {
+    cam.aspect = aspect;
+    cam.fov = THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * k));
+  } else if (cam.isOrthographicCamera) {
+    const cy = (camera.top + camera.bottom) / 2;
+    const cx = (camera.left + camera.right) / 2;
+    const h = ((camera.top - camera.bottom) / 2) * k;
+    cam.top = cy + h;
+    cam.bottom = cy - h;
+    cam.left = cx - h * aspect;
+    cam.right = cx + h * aspect;
+  }
+  cam.updateProjectionMatrix();
+  return cam;
+}
+
+/**
+ * @param {{ renderer: THREE.WebGLRenderer, scene: THREE.Scene }} opts
+ */
+export function createImageExporter({ renderer, scene } = {}) {
+  if (!renderer || !scene) throw new Error("createImageExporter: renderer/scene are required");
+
+  let outputPass = null;
+
+  /** Largest width/height we render (GPU limit, capped at MAX_EXPORT_SIZE). */
+  function maxSize() {
+    return Math.min(renderer.capabilities.maxTextureSize || MAX_EXPORT_SIZE, MAX_EXPORT_SIZE);
+  }
+
+  /** MSAA samples used for a w × h export (0 above MSAA_PIXEL_BUDGET or without WebGL 2). */
+  function samplesFor(w, h) {
+    if (!renderer.capabilities.isWebGL2 || w * h > MSAA_PIXEL_BUDGET) return 0;
+    return Math.min(4, renderer.capabilities.maxSamples || 0);
+  }
+
+  /**
+   * Render + encode.
+   * @param {{
+   *  camera: THREE.Camera,          // viewport camera
+   *  viewAspect: number,            // viewport width / height
+   *  width: number, height: number, // output pixels (frame aspect = width / height)
+   *  transparent?: boolean,
+   *  hidden?: THREE.Object3D[]      // hidden during the render only
+   * }} opts
+   * @returns {Promise<Blob>}
+   */
+  async function renderPNG({ camera, viewAspect, width, height, transparent = false, hidden = [] }) {
+    const max = maxSize();
+    const w = THREE.MathUtils.clamp(Math.round(width), 1, max);
+    const h = THREE.MathUtils.clamp(Math.round(height), 1, max);
+    const cam = frameCamera(camera, viewAspect, w / h);
+
+    const sceneTarget = new THREE.WebGLRenderTarget(w, h, { type: THREE.HalfFloatType, samples: samplesFor(w, h) });
+    const outTarget = new THREE.WebGLRenderTarget(w, h);
+    outputPass ||= new OutputPass();
+
+    const prev = {
+      target: renderer.getRenderTarget(),
+      background: scene.background,
+      clearColor: renderer.getClearColor(new THREE.Color()),
+      clearAlpha: renderer.getClearAlpha(),
+      visible: hidden.map((o) => o.visible)
+    };
+
+    const pixels = new Uint8Array(w * h * 4);
+    try {
+      hidden.forEach((o) => (o.visible = false));
+      if (transparent) {
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+      }
+
+      renderer.setRenderTarget(sceneTarget);
+      renderer.clear();
+      renderer.render(scene, cam);
+
+      outputPass.renderToScreen = false;
+      outputPass.render(renderer, outTarget, sceneTarget);
+
+      renderer.readRenderTargetPixels(outTarget, 0, 0, w, h, pixels);
+    } finally {
+      hidden.forEach((o, i) => (o.visible = prev.visible[i]));
+      scene.background = prev.background;
+      renderer.setClearColor(prev.clearColor, prev.clearAlpha);
+      renderer.setRenderTarget(prev.target);
+      sceneTarget.dispose();
+      outTarget.dispose();
+    }
+
+    return encodePNG(pixels, w, h, transparent);
+  }
+
+  function dispose() {
+    outputPass?.dispose();
+    outputPass = null;
+  }
+
+  return { maxSize, samplesFor, renderPNG, dispose };
+}
+
+/** GL rows are bottom-up and blending leaves color premultiplied: flip + un-premultiply for a canvas. */
+function encodePNG(pixels, w, h, transparent) {
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(w, h);
+  const row = w * 4;
+
+  for (let y = 0; y < h; y++) {
+    const src = (h - 1 - y) * row;
+    const dst = y * row;
+    for (let i = 0; i < row; i += 4) {
+      const a = transparent ? pixels[src + i + 3] : 255;
+      const k = a > 0 && a < 255 ? 255 / a : 1;
+      img.data[dst + i] = Math.min(255, pixels[src + i] * k);
+      img.data[dst + i + 1] = Math.min(255, pixels[src + i + 1] * k);
+      img.data[dst + i + 2] = Math.min(255, pixels[src + i + 2] * k);
+      img.data[dst + i + 3] = a;
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+  });
+}
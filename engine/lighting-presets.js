@@ -0,0 +1,58 @@
+// engine/lighting-presets.js
+// Lighting preset data for engine/lighting.js, kept free of three.js so poses/pose-schema.js can
+// check saved rigs against the same light types and preset names the rig builds.
+
+export const LIGHT_TYPES = ["directional", "point", "spot"];
+
+const dir = (id, name, color, intensity, position, castShadow = false) => ({
+  id,
+  type: "directional",
+  name,
+  color,
+  intensity,
+  position,
+  target: [0, 0, 0],
+  castShadow
+});
+
+export const LIGHT_PRESETS = {
+  studio: {
+    label: "Studio",
+    hemisphere: { sky: "#9bb2ff", ground: "#151a22", intensity: 0.35 },
+    ambient: { color: "#ffffff", intensity: 0.22 },
+    lights: [
+      dir("key", "Key", "#ffffff", 0.92, [6, 10, 3], true),
+      dir("fill", "Fill", "#88bbff", 0.3, [-7, 4, -6]),
+      dir("rim", "Rim", "#aad9ff", 0.18, [-2, 3, 8])
+    ]
+  },
+  dramatic: {
+    label: "Dramatic",
+    hemisphere: { sky: "#6f7fa8", ground: "#0a0c10", intensity: 0.08 },
+    ambient: { color: "#ffffff", intensity: 0.04 },
+    lights: [
+      dir("key", "Key", "#ffd2a1", 1.7, [7, 4.5, 2], true),
+      dir("fill", "Fill", "#5b7bff", 0.12, [-6, 2, 3]),
+      dir("rim", "Rim", "#ffffff", 0.7, [-3, 5, -7])
+    ]
+  },
+  topDown: {
+    label: "Top-down",
+    hemisphere: { sky: "#9bb2ff", ground: "#151a22", intensity: 0.15 },
+    ambient: { color: "#ffffff", intensity: 0.08 },
+    lights: [
+      dir("key", "Key", "#ffffff", 1.5, [0.4, 12, 0.6], true),
+      dir("fill", "Fill", "#88bbff", 0.1, [0, 2, 8])
+    ]
+  },
+  rimLit: {
+    label: "Rim-lit",
+    hemisphere: { sky: "#9bb2ff", ground: "#0b0f17", intensity: 0.1 },
+    ambient: { color: "#ffffff", intensity: 0.05 },
+    lights: [
+      dir("rim_l", "Rim L", "#aad9ff", 1.3, [-5, 4, -6], true),
+      dir("rim_r", "Rim R", "#ffd9aa", 1.1, [5, 4, -6]),
+      dir("fill", "Fill", "#ffffff", 0.15, [0, 3, 8])
+    ]
+  }
+};
@@ -0,0 +1,361 @@
+// engine/lighting.js
+// Editable lighting rig: hemisphere + ambient fill plus a list of directional / point / spot lights.
+// - presets: studio (the original fixed rig), dramatic, top-down, rim-lit
+// - per light: color, intensity, direction (azimuth/elevation around its aim point), shadows
+// - point/spot lights can be added and removed; the built-in key/fill/rim are kept per preset
+// - helpers (DirectionalLightHelper / PointLightHelper / SpotLightHelper) show where lights are;
+//   app.js attaches the gizmo to a light to drag it in the viewport
+// - getState()/setState() give a plain JSON description (saved with the pose, see poses/pose-io.js)
+//
+// The THREE lights are the source of truth (the gizmo moves them directly); getState() reads them.
+// Call update() every frame so helpers follow drags.
+
+import * as THREE from "three";
+import { LIGHT_TYPES, LIGHT_PRESETS } from "./lighting-presets.js";
+
+export { LIGHT_TYPES, LIGHT_PRESETS };
+
+/** Where point lights "look" (their direction sliders orbit around this). */
+const POINT_AIM = [0, 1, 0];
+
+/** Defaults for lights added from the panel (physically based units: point/spot in candela). */
+const NEW_LIGHT = {
+  point: { name: "Point", color: "#ffe8c8", intensity: 12, position: [2, 3, 2], distance: 0, decay: 2 },
+  spot: { name: "Spot", color: "#ffffff", intensity: 30, position: [-2.5, 4.5, 2.5], target: [0, 1, 0], angle: 30, penumbra: 0.35, distance: 0, decay: 2 }
+};
+
+function configureShadow(light, on) {
+  light.castShadow = !!on;
+  if (light.isDirectionalLight) {
+    light.shadow.mapSize.set(2048, 2048);
+    light.shadow.camera.near = 1;
+    light.shadow.camera.far = 40;
+    light.shadow.camera.left = -12;
+    light.shadow.camera.right = 12;
+    light.shadow.camera.top = 12;
+    light.shadow.camera.bottom = -12;
+    light.shadow.bias = -0.00025;
+  } else {
+    light.shadow.mapSize.set(1024, 1024);
+    light.shadow.camera.near = 0.1;
+    light.shadow.camera.far = 40;
+    light.shadow.bias = -0.0005;
+  }
+  light.shadow.normalBias = 0.02;
+}
+
+/**
+ * @param {{ scene: THREE.Scene, preset?: keyof LIGHT_PRESETS, helpers?: boolean }} opts
+ */
+export function createLightRig({ scene, preset = "studio", helpers = false } = {}) {
+  if (!scene) throw new Error("createLightRig: scene is required");
+
+  const hemisphere = new THREE.HemisphereLight(0xffffff, 0x000000, 0);
+  hemisphere.name = "light_hemisphere";
+  scene.add(hemisphere);
+
+  const ambient = new THREE.AmbientLight(0xffffff, 0);
+  ambient.name = "light_ambient";
+  scene.add(ambient);
+
+  /** @type {{ id:string, type:string, light:THREE.Light, helper:THREE.Object3D }[]} */
+  let entries = [];
+  let presetName = "custom";
+  let helpersVisible = !!helpers;
+  let nextId = 1;
+
+  /* ---------------- lights ---------------- */
+
+  function makeEntry(def) {
+    const type = LIGHT_TYPES.includes(def.type) ? def.type : "directional";
+    let light;
+    if (type === "point") {
+      light = new THREE.PointLight(def.color, def.intensity, def.distance ?? 0, def.decay ?? 2);
+    } else if (type === "spot") {
+      light = new THREE.SpotLight(
+        def.color,
+        def.intensity,
+        def.distance ?? 0,
+        THREE.MathUtils.degToRad(def.angle ?? 30),
+        def.penumbra ?? 0.35,
+        def.decay ?? 2
+      );
+    } else {
+      light = new THREE.DirectionalLight(def.color, def.intensity);
+    }
+
+    const id = typeof def.id === "string" && def.id ? def.id : `light_${nextId++}`;
+    light.name = String(def.name || id);
+    light.userData.lightId = id;
+    light.position.fromArray(def.position || [0, 5, 5]);
+    configureShadow(light, def.castShadow);
+
+    // aim (directional + spot); the target lives in the scene so its matrix stays current
+    if (light.target) {
+      light.target.position.fromArray(def.target || (type === "spot" ? POINT_AIM : [0, 0, 0]));
+      light.target.name = `${light.name}_target`;
+      scene.add(light.target);
+    }
+    scene.add(light);
+
+    const helper =
+      type === "point"
+        ? new THREE.PointLightHelper(light, 0.18)
+        : type === "spot"
+          ? new THREE.SpotLightHelper(light)
+          : new THREE.DirectionalLightHelper(light, 0.6);
+    helper.name = `${light.name}_helper`;
+    helper.userData.isHelper = true;
+    helper.visible = helpersVisible;
+    scene.add(helper);
+
+    return { id, type, light, helper };
+  }
+
+  function disposeEntry(e) {
+    scene.remove(e.light);
+    if (e.light.target) scene.remove(e.light.target);
+    scene.remove(e.helper);
+    e.helper.dispose?.();
+    e.light.dispose?.();
+  }
+
+  function getEntry(id) {
+    return entries.find((e) => e.id === id) || null;
+  }
+
+  /** Point the rig is orbited around for the direction sliders. */
+  function aimOf(e) {
+    return e.light.target ? e.light.target.position : new THREE.Vector3().fromArray(POINT_AIM);
+  }
+
+  /* ---------------- state ---------------- */
+
+  /**
+   * Plain JSON description of the rig.
+   * @returns {{ preset:string, hemisphere:Object, ambient:Object, lights:Object[] }}
+   */
+  function getState() {
+    const round = (n) => Number(n.toFixed(4));
+    return {
+      preset: presetName,
+      hemisphere: {
+        sky: "#" + hemisphere.color.getHexString(),
+        ground: "#" + hemisphere.groundColor.getHexString(),
+        intensity: round(hemisphere.intensity)
+      },
+      ambient: { color: "#" + ambient.color.getHexString(), intensity: round(ambient.intensity) },
+      lights: entries.map(({ id, type, light }) => {
+        const out = {
+          id,
+          type,
+          name: light.name,
+          color: "#" + light.color.getHexString(),
+          intensity: round(light.intensity),
+          position: light.position.toArray().map(round),
+          castShadow: !!light.castShadow
+        };
+        if (light.target) out.target = light.target.position.toArray().map(round);
+        if (type !== "directional") {
+          out.distance = round(light.distance);
+          out.decay = round(light.decay);
+        }
+        if (type === "spot") {
+          out.angle = round(THREE.MathUtils.radToDeg(light.angle));
+          out.penumbra = round(light.penumbra);
+        }
+        return out;
+      })
+    };
+  }
+
+  function applyEnvironment(state) {
+    if (state.hemisphere) {
+      hemisphere.color.set(state.hemisphere.sky ?? "#ffffff");
+      hemisphere.groundColor.set(state.hemisphere.ground ?? "#000000");
+      hemisphere.intensity = Number(state.hemisphere.intensity) || 0;
+    }
+    if (state.ambient) {
+      ambient.color.set(state.ambient.color ?? "#ffffff");
+      ambient.intensity = Number(state.ambient.intensity) || 0;
+    }
+  }
+
+  /**
+   * Replace the whole rig (pose load, preset). Expects a validated state (pose-schema.js).
+   * Without a `lights` list a known preset rebuilds its own lights; otherwise the current lights stay.
+   */
+  function setState(state) {
+    if (!state || typeof state !== "object") return;
+
+    if (!Array.isArray(state.lights)) {
+      if (LIGHT_PRESETS[state.preset]) applyPreset(state.preset);
+      if (state.hemisphere || state.ambient) {
+        applyEnvironment(state);
+        presetName = "custom";
+      }
+      return;
+    }
+
+    applyEnvironment(state);
+    entries.forEach(disposeEntry);
+    const seen = new Set();
+    entries = state.lights.map((def) => {
+      const unique = def.id && !seen.has(def.id) ? def : { ...def, id: null };
+      const e = makeEntry(unique);
+      seen.add(e.id);
+      return e;
+    });
+
+    // keep the name only if these are that preset's lights (same ids/types); anything else is custom
+    const presetLights = LIGHT_PRESETS[state.preset]?.lights;
+    const matches =
+      presetLights?.length === entries.length && presetLights.every((l, i) => l.id === entries[i].id && l.type === entries[i].type);
+    presetName = matches ? state.preset : "custom";
+  }
+
+  function applyPreset(name) {
+    const p = LIGHT_PRESETS[name];
+    if (!p) return false;
+    setState({ ...structuredClone(p), preset: name });
+    return true;
+  }
+
+  function getPreset() {
+    return presetName;
+  }
+
+  /** Something was edited by hand: the rig no longer matches its preset. */
+  function markCustom() {
+    presetName = "custom";
+  }
+
+  /* ---------------- edits ---------------- */
+
+  /**
+   * @param {"point"|"spot"} type
+   * @returns {string|null} new light id
+   */
+  function addLight(type) {
+    const base = NEW_LIGHT[type];
+    if (!base) return null;
+    const n = entries.filter((e) => e.type === type).length + 1;
+    const e = makeEntry({ ...structuredClone(base), type, id: null, name: `${base.name} ${n}` });
+    entries.push(e);
+    markCustom();
+    return e.id;
+  }
+
+  function removeLight(id) {
+    const e = getEntry(id);
+    if (!e) return false;
+    disposeEntry(e);
+    entries = entries.filter((x) => x !== e);
+    markCustom();
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @param {{ color?:string, intensity?:number, castShadow?:boolean, name?:string, angle?:number, penumbra?:number }} patch
+   */
+  function updateLight(id, patch = {}) {
+    const e = getEntry(id);
+    if (!e) return;
+    const l = e.light;
+    if (patch.color !== undefined) l.color.set(patch.color);
+    if (Number.isFinite(patch.intensity)) l.intensity = Math.max(0, patch.intensity);
+    if (typeof patch.castShadow === "boolean") configureShadow(l, patch.castShadow);
+    if (typeof patch.name === "string" && patch.name.trim()) l.name = patch.name.trim();
+    if (e.type === "spot" && Number.isFinite(patch.angle)) l.angle = THREE.MathUtils.degToRad(THREE.MathUtils.clamp(patch.angle, 1, 89));
+    if (e.type === "spot" && Number.isFinite(patch.penumbra)) l.penumbra = THREE.MathUtils.clamp(patch.penumbra, 0, 1);
+    markCustom();
+  }
+
+  /** @param {{ color?:string, intensity?:number }} patch */
+  function setAmbient(patch = {}) {
+    if (patch.color !== undefined) ambient.color.set(patch.color);
+    if (Number.isFinite(patch.intensity)) ambient.intensity = Math.max(0, patch.intensity);
+    markCustom();
+  }
+
+  /** @param {{ sky?:string, ground?:string, intensity?:number }} patch */
+  function setHemisphere(patch = {}) {
+    if (patch.sky !== undefined) hemisphere.color.set(patch.sky);
+    if (patch.ground !== undefined) hemisphere.groundColor.set(patch.ground);
+    if (Number.isFinite(patch.intensity)) hemisphere.intensity = Math.max(0, patch.intensity);
+    markCustom();
+  }
+
+  /**
+   * Direction as angles around the aim point (degrees).
+   * @returns {{ azimuth:number, elevation:number }|null}
+   */
+  function getDirection(id) {
+    const e = getEntry(id);
+    if (!e) return null;
+    const s = new THREE.Spherical().setFromVector3(e.light.position.clone().sub(aimOf(e)));
+    return {
+      azimuth: THREE.MathUtils.radToDeg(s.theta),
+      elevation: 90 - THREE.MathUtils.radToDeg(s.phi)
+    };
+  }
+
+  /** Move a light around its aim point, keeping its distance. */
+  function setDirection(id, azimuth, elevation) {
+    const e = getEntry(id);
+    if (!e || !Number.isFinite(azimuth) || !Number.isFinite(elevation)) return;
+    const aim = aimOf(e);
+    const s = new THREE.Spherical().setFromVector3(e.light.position.clone().sub(aim));
+    s.theta = THREE.MathUtils.degToRad(azimuth);
+    s.phi = THREE.MathUtils.degToRad(90 - THREE.MathUtils.clamp(elevation, -89, 89));
+    e.light.position.setFromSpherical(s).add(aim);
+    markCustom();
+  }
+
+  /* ---------------- helpers ---------------- */
+
+  function setHelpersVisible(on) {
+    helpersVisible = !!on;
+    entries.forEach((e) => (e.helper.visible = helpersVisible));
+  }
+
+  function getHelpersVisible() {
+    return helpersVisible;
+  }
+
+  /** Per frame: helpers follow lights moved by the gizmo or the panel. */
+  function update() {
+    if (!helpersVisible) return;
+    entries.forEach((e) => {
+      e.light.updateMatrixWorld();
+      e.light.target?.updateMatrixWorld();
+      e.helper.update();
+    });
+  }
+
+  applyPreset(preset);
+
+  return {
+    hemisphere,
+    ambient,
+    getLights: () => entries.map(({ id, type, light }) => ({ id, type, light })),
+    getLight: (id) => getEntry(id)?.light || null,
+    getState,
+    setState,
+    applyPreset,
+    getPreset,
+    markCustom,
+    addLight,
+    removeLight,
+    updateLight,
+    setAmbient,
+    setHemisphere,
+    getDirection,
+    setDirection,
+    setHelpersVisible,
+    getHelpersVisible,
+    getHelpers: () => entries.map((e) => e.helper),
+    update
+  };
+}
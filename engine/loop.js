@@ -7,12 +7,14 @@ export function createLoop({
   renderer,              // THREE.WebGLRenderer
   scene,                 // THREE.Scene
   camera,                // THREE.Camera
+  getCamera = null,      // optional ()=>THREE.Camera, wins over camera (perspective/ortho swap)
   getSelected,           // ()=>THREE.Object3D|null
   getShowOutline,        // ()=>boolean
   outline,               // THREE.BoxHelper (or null)
+  onFrame = null,        // optional (dtMs)=>void, runs before render (extra helpers, playback...)
   perf = { enabled: () => false, onFps: () => {} } // optional
 } = {}) {
-  if (!renderer || !scene || !camera) {
+  if (!renderer || !scene || (!camera && !getCamera)) {
     throw new Error("createLoop: renderer/scene/camera are required");
   }
 
@@ -30,8 +32,11 @@ export function createLoop({
     // Controls update
     try { orbit?.update?.(); } catch {}
 
+    // Per-frame app hook
+    try { onFrame?.(performance.now() - lastFrameTime); } catch (e) { console.warn(e); }
+
     // Render
-    renderer.render(scene, camera);
+    renderer.render(scene, getCamera ? getCamera() : camera);
 
     // Outline refresh (mirrors your app.js behavior)
     const selected = getSelected ? getSelected() : null;
@@ -0,0 +1,113 @@
+// engine/pose-thumbnails.js
+// Offscreen pose thumbnails (preset cards etc.).
+// Uses its own small WebGLRenderer + scene + camera and a hidden Character copy, so rendering
+// a thumbnail never touches the live scene, camera, selection or history.
+// Results are cached by pose content: same joints => same image, changed joints => re-render.
+
+import * as THREE from "three";
+import { Character } from "../character/character.js";
+import { createLightRig } from "./lighting.js";
+
+/**
+ * @param {{
+ *  makeMaterial: (colorHex:number)=>THREE.Material,   // same look as the live character
+ *  size?: number,                                      // px (square)
+ *  background?: number|null                            // null = transparent
+ * }} opts
+ */
+export function createPoseThumbnailer({ makeMaterial, size = 128, background = 0x0b0f17 } = {}) {
+  let renderer = null;
+  let scene = null;
+  let camera = null;
+  let character = null;
+  let byName = null;
+
+  const cache = new Map(); // pose key -> data URL
+
+  function setup() {
+    if (renderer) return;
+
+    const canvas = document.createElement("canvas");
+    renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: background == null, preserveDrawingBuffer: true });
+    renderer.outputColorSpace = THREE.SRGBColorSpace;
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.toneMappingExposure = 1.05;
+    renderer.setPixelRatio(1);
+    renderer.setSize(size, size, false);
+
+    scene = new THREE.Scene();
+    if (background != null) scene.background = new THREE.Color(background);
+
+    // the studio preset of engine/lighting.js, fixed: thumbnails don't follow the viewport rig
+    // (shadow maps stay off on this renderer, helpers stay hidden)
+    createLightRig({ scene, preset: "studio" });
+
+    // full body, slightly from the front-right like the default view
+    camera = new THREE.PerspectiveCamera(32, 1, 0.1, 100);
+    camera.position.set(3.4, 3.0, 7.6);
+    camera.lookAt(0, 2.05, 0);
+
+    character = new Character(THREE, scene, makeMaterial);
+    character.build();
+    byName = new Map(character.joints.map((j) => [j.name, j]));
+  }
+
+  function poseKey(pose) {
+    return JSON.stringify(pose?.joints || {});
+  }
+
+  /**
+   * Thumbnail for a pose (joints only, like applying a preset). Cached.
+   * @param {Object} pose
+   * @returns {string|null} PNG data URL
+   */
+  function render(pose) {
+    const k = poseKey(pose);
+    if (cache.has(k)) return cache.get(k);
+
+    try {
+      setup();
+      character.resetAllJointRotations();
+      const joints = pose?.joints || {};
+      Object.keys(joints).forEach((name) => {
+        const j = byName.get(name);
+        const q = joints[name];
+        if (j && Array.isArray(q) && q.length === 4) j.quaternion.fromArray(q);
+      });
+
+      renderer.render(scene, camera);
+      const url = renderer.domElement.toDataURL("image/png");
+      cache.set(k, url);
+      return url;
+    } catch (e) {
+      console.warn("Pose thumbnail failed:", e);
+      return null;
+    }
+  }
+
+  /** Cached thumbnail or null (never renders). */
+  function peek(pose) {
+    return cache.get(poseKey(pose)) || null;
+  }
+
+  /** Drop cached images that no current pose uses. */
+  function prune(poses) {
+    const keep = new Set((poses || []).map(poseKey));
+    [...cache.keys()].forEach((k) => {
+      if (!keep.has(k)) cache.delete(k);
+    });
+  }
+
+  function dispose() {
+    cache.clear();
+    if (!renderer) return;
+    scene.traverse((o) => {
+      o.geometry?.dispose?.();
+      o.material?.dispose?.();
+    });
+    renderer.dispose();
+    renderer = scene = camera = character = byName = null;
+  }
+
+  return { render, peek, prune, dispose };
+}
@@ -5,6 +5,7 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import { TransformControls } from "three/addons/controls/TransformControls.js";
+import { createLightRig } from "./lighting.js";
 
 export function setBackgroundTone(scene, mode) {
   if (!scene) return;
@@ -43,35 +44,8 @@ export function createScene({
   orbit.dampingFactor = 0.06;
   orbit.target.set(0, 1.05, 0);
 
-  // Lighting (same as app.js)
-  scene.add(new THREE.HemisphereLight(0x9bb2ff, 0x151a22, 0.35));
-
-  const ambient = new THREE.AmbientLight(0xffffff, 0.22);
-  scene.add(ambient);
-
-  const key = new THREE.DirectionalLight(0xffffff, 0.92);
-  key.position.set(6, 10, 3);
-  key.castShadow = true;
-
-  key.shadow.mapSize.set(2048, 2048);
-  key.shadow.camera.near = 1;
-  key.shadow.camera.far = 40;
-  key.shadow.camera.left = -12;
-  key.shadow.camera.right = 12;
-  key.shadow.camera.top = 12;
-  key.shadow.camera.bottom = -12;
-  key.shadow.bias = -0.00025;
-  key.shadow.normalBias = 0.02;
-
-  scene.add(key);
-
-  const fill = new THREE.DirectionalLight(0x88bbff, 0.30);
-  fill.position.set(-7, 4, -6);
-  scene.add(fill);
-
-  const rim = new THREE.DirectionalLight(0xaad9ff, 0.18);
-  rim.position.set(-2, 3, 8);
-  scene.add(rim);
+  // Lighting: editable rig (studio preset = the original hemisphere/ambient/key/fill/rim setup)
+  const lights = createLightRig({ scene, preset: "studio" });
 
   // Floor + grid + axes (same)
   const floorMat = new THREE.MeshStandardMaterial({
@@ -100,14 +74,15 @@ export function createScene({
   // Transform controls (gizmo) (same)
   const gizmo = new TransformControls(camera, renderer.domElement);
   gizmo.setMode("rotate");
-  gizmo.setSpace("local");
+  gizmo.setSpace(STATE?.space || "local");
   gizmo.size = 0.85;
 
   gizmo.addEventListener("dragging-changed", (e) => {
     // Orbit ONLY when Orbit mode is active, never during gizmo drag
     if (orbit) orbit.enabled = !e.value && (STATE?.mode === "orbit");
     if (e.value && typeof showToast === "function") {
-      showToast(STATE?.mode === "move" ? "Moving…" : "Rotating…");
+      const m = STATE?.mode;
+      showToast(m === "move" ? "Moving…" : m === "scale" ? "Scaling…" : m === "ik" ? "Solving IK…" : "Rotating…");
     }
   });
 
@@ -138,6 +113,7 @@ export function createScene({
     outline,
     raycaster,
     pointer,
-    floor
+    floor,
+    lights
   };
 }
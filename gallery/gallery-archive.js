@@ -0,0 +1,175 @@
+// gallery/gallery-archive.js
+// Whole-gallery export/import as one .zip:
+//
+//   manifest.json        { type, version, exportedAt, items: [{ id, name, notes, tags, folder,
+//                          createdAt, lastUsedAt, pose: "poses/<file>.json", thumb: "thumbs/<file>.png" }] }
+//   poses/<file>.json    the pose (plain pose JSON incl. notes/tags/folder, loadable on its own)
+//   thumbs/<file>.png    the gallery thumbnail
+//
+// Reading validates every pose through the caller's validatePose (pose-schema report) and never
+// re-renders thumbnails: the PNGs from the archive are used as-is.
+
+import { createZip, readZip, zipText } from "./zip.js";
+
+export const ARCHIVE_TYPE = "pose_sandbox_gallery";
+export const ARCHIVE_VERSION = 1;
+
+function safeFileName(name, fallback) {
+  const base = String(name || "")
+    .trim()
+    .replace(/[^\w\- ]+/g, "")
+    .replace(/\s+/g, "_")
+    .slice(0, 40);
+  return base || fallback;
+}
+
+async function thumbBytes(thumb) {
+  if (!thumb) return null;
+  try {
+    // works for data: and blob: URLs alike
+    const res = await fetch(thumb);
+    return new Uint8Array(await res.arrayBuffer());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Content key for duplicate detection: joints + props, rounded so float noise doesn't matter.
+ * @param {Object} pose
+ * @returns {string}
+ */
+export function poseFingerprint(pose) {
+  const round = (v) => (typeof v === "number" ? Math.round(v * 1e4) / 1e4 : v);
+  const joints = pose?.joints || {};
+  const j = Object.keys(joints)
+    .sort()
+    .map((k) => [k, (joints[k] || []).map(round)]);
+  const p = (pose?.props || []).map((pd) => [
+    pd.type,
+    (pd.position || []).map(round),
+    (pd.quaternion || []).map(round),
+    (pd.scale || []).map(round)
+  ]);
+  return JSON.stringify([j, p]);
+}
+
+/**
+ * @param {Object[]} items gallery items ({ id, name, notes, tags, folder, createdAt, lastUsedAt, pose, thumb })
+ * @returns {Promise<Blob>}
+ */
+export async function exportGalleryArchive(items) {
+  const files = [];
+  const used = new Set();
+  const manifestItems = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const it = items[i];
+
+    // readable + unique file names ("003_Jump.json")
+    let file = `${String(i + 1).padStart(3, "0")}_${safeFileName(it.name, "pose")}`;
+    while (used.has(file)) file += "_";
+    used.add(file);
+
+    const meta = {
+      id: it.id,
+      name: it.name || "",
+      notes: it.notes || "",
+      tags: it.tags || [],
+      folder: it.folder || "",
+      createdAt: it.createdAt || "",
+      lastUsedAt: it.lastUsedAt || ""
+    };
+
+    const pose = { ...it.pose, notes: meta.notes, tags: meta.tags, folder: meta.folder };
+    files.push({ name: `poses/${file}.json`, data: JSON.stringify(pose, null, 2) });
+    meta.pose = `poses/${file}.json`;
+
+    const png = await thumbBytes(it.thumb);
+    if (png) {
+      files.push({ name: `thumbs/${file}.png`, data: png });
+      meta.thumb = `thumbs/${file}.png`;
+    }
+
+    manifestItems.push(meta);
+  }
+
+  const manifest = {
+    type: ARCHIVE_TYPE,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    items: manifestItems
+  };
+  files.unshift({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+
+  return createZip(files);
+}
+
+/**
+ * @param {Blob} file
+ * @param {{ validatePose?: (pose:any)=>{ ok:boolean, pose:any, errors:any[], warnings:any[] } }} [opts]
+ * @returns {Promise<{ items: Object[], entries: { name:string, report:any }[], error: string }>}
+ *   items: { id, name, notes, tags, folder, createdAt, lastUsedAt, pose, thumbBlob|null }
+ */
+export async function readGalleryArchive(file, { validatePose = null } = {}) {
+  let zip;
+  try {
+    zip = await readZip(file);
+  } catch (e) {
+    return { items: [], entries: [], error: String(e?.message || e) };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(zipText(zip.get("manifest.json") || new Uint8Array()));
+  } catch {
+    return { items: [], entries: [], error: "manifest.json missing or invalid" };
+  }
+  if (manifest?.type !== ARCHIVE_TYPE || !Array.isArray(manifest.items)) {
+    return { items: [], entries: [], error: "not a Pose Sandbox gallery archive" };
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version > ARCHIVE_VERSION) {
+    return { items: [], entries: [], error: `unsupported archive version ${manifest.version}` };
+  }
+
+  const items = [];
+  const entries = [];
+
+  manifest.items.forEach((m, i) => {
+    const name = String(m?.name || m?.pose || `item ${i + 1}`);
+    const reject = (message) => entries.push({ name, report: { ok: false, errors: [{ path: "", message }], warnings: [] } });
+
+    const poseBytes = typeof m?.pose === "string" ? zip.get(m.pose) : null;
+    if (!poseBytes) return reject("pose file missing from archive");
+
+    let pose;
+    try {
+      pose = JSON.parse(zipText(poseBytes));
+    } catch {
+      return reject("invalid JSON");
+    }
+
+    if (typeof validatePose === "function") {
+      const report = validatePose(pose);
+      if (!report.ok || report.warnings.length) entries.push({ name, report });
+      if (!report.ok) return;
+      pose = report.pose;
+    }
+
+    const png = typeof m.thumb === "string" ? zip.get(m.thumb) : null;
+
+    items.push({
+      id: typeof m.id === "string" && m.id ? m.id : "",
+      name: String(m.name || ""),
+      notes: String(m.notes ?? pose.notes ?? ""),
+      tags: Array.isArray(m.tags) ? m.tags : pose.tags || [],
+      folder: String(m.folder ?? pose.folder ?? ""),
+      createdAt: String(m.createdAt || ""),
+      lastUsedAt: String(m.lastUsedAt || ""),
+      pose,
+      thumbBlob: png ? new Blob([png], { type: "image/png" }) : null
+    });
+  });
+
+  return { items, entries, error: "" };
+}
@@ -0,0 +1,268 @@
+// gallery/gallery-store.js
+// Persistence for the pose gallery.
+//
+// Preferred backend: IndexedDB (database "pose_sandbox_gallery")
+// - "poses":  one record per item { id, name, createdAt, notes, pose, ...extra fields }
+// - "thumbs": PNG Blob per item id
+// - "meta":   small key/value flags (e.g. the one-time localStorage migration)
+//
+// Fallback backend: the original single localStorage key (items array with data-URL thumbs),
+// used when IndexedDB is missing or fails to open (private mode, old browsers, file://…).
+//
+// Both backends expose the same async API, and items always come back as
+// { id, name, createdAt, notes, pose, thumb, ... } where `thumb` is an <img>-ready URL
+// (object URL for IndexedDB, data URL for localStorage).
+
+const DB_NAME = "pose_sandbox_gallery";
+const DB_VERSION = 1;
+const MIGRATED_FLAG = "migratedFromLocalStorage";
+
+/**
+ * @typedef {Object} GalleryStore
+ * @property {"indexeddb"|"localStorage"} backend
+ * @property {boolean} capped         true if the backend needs an item cap (localStorage)
+ * @property {()=>Promise<Object[]>} getAll
+ * @property {(item:Object)=>Promise<void>} put
+ * @property {(id:string)=>Promise<void>} remove
+ * @property {()=>Promise<void>} clear
+ * @property {()=>Promise<{ usage:number|null, quota:number|null }>} estimate
+ * @property {(item:Object)=>void} release   free resources held by a loaded item (object URLs)
+ * @property {number} migrated        items moved over from localStorage on open (0 if none)
+ */
+
+/* ---------------- Blob helpers ---------------- */
+
+/** Decode a data: URL into a Blob (sync, no fetch). */
+export function dataUrlToBlob(dataUrl) {
+  const m = String(dataUrl || "").match(/^data:([^;,]+)?(;base64)?,(.*)$/);
+  if (!m) return null;
+  const type = m[1] || "application/octet-stream";
+  if (!m[2]) return new Blob([decodeURIComponent(m[3])], { type });
+
+  const bin = atob(m[3]);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
+
+/** Blob -> data: URL (for thumbnails that come from files/archives). */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function thumbToBlob(thumb) {
+  if (thumb instanceof Blob) return thumb;
+  if (typeof thumb === "string" && thumb.startsWith("data:")) return dataUrlToBlob(thumb);
+  return null;
+}
+
+/* ---------------- IndexedDB plumbing ---------------- */
+
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("transaction aborted"));
+  });
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("poses")) db.createObjectStore("poses", { keyPath: "id" });
+      if (!db.objectStoreNames.contains("thumbs")) db.createObjectStore("thumbs");
+      if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB open blocked"));
+  });
+}
+
+/** Record without the in-memory thumb URL. */
+function toRecord(item) {
+  const { thumb, ...record } = item;
+  return record;
+}
+
+function readLegacyItems(legacyKey) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(legacyKey) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((it) => it && typeof it === "object" && it.id && it.pose) : [];
+  } catch {
+    return [];
+  }
+}
+
+async function estimateUsage() {
+  try {
+    const est = await navigator.storage?.estimate?.();
+    if (est) return { usage: est.usage ?? null, quota: est.quota ?? null };
+  } catch {}
+  return { usage: null, quota: null };
+}
+
+async function createIndexedDbStore({ legacyKey }) {
+  const db = await openDb();
+
+  // one-time migration from the old localStorage gallery
+  let migrated = 0;
+  const flag = await reqToPromise(db.transaction("meta").objectStore("meta").get(MIGRATED_FLAG));
+  if (!flag) {
+    const legacy = readLegacyItems(legacyKey);
+    const tx = db.transaction(["poses", "thumbs", "meta"], "readwrite");
+    legacy.forEach((it) => {
+      tx.objectStore("poses").put(toRecord(it));
+      const blob = thumbToBlob(it.thumb);
+      if (blob) tx.objectStore("thumbs").put(blob, it.id);
+    });
+    tx.objectStore("meta").put({ at: new Date().toISOString(), count: legacy.length }, MIGRATED_FLAG);
+    await txDone(tx);
+
+    migrated = legacy.length;
+    // only drop the old key once everything is safely in IndexedDB
+    try {
+      localStorage.removeItem(legacyKey);
+    } catch {}
+  }
+
+  const urls = new Map(); // id -> object URL
+
+  return {
+    backend: "indexeddb",
+    capped: false,
+    migrated,
+
+    async getAll() {
+      const tx = db.transaction(["poses", "thumbs"]);
+      const records = await reqToPromise(tx.objectStore("poses").getAll());
+      const thumbs = tx.objectStore("thumbs");
+
+      const items = await Promise.all(
+        records.map(async (r) => {
+          const blob = await reqToPromise(thumbs.get(r.id));
+          let thumb = "";
+          if (blob) {
+            if (urls.has(r.id)) URL.revokeObjectURL(urls.get(r.id));
+            thumb = URL.createObjectURL(blob);
+            urls.set(r.id, thumb);
+          }
+          return { ...r, thumb };
+        })
+      );
+      return items;
+    },
+
+    async put(item) {
+      const tx = db.transaction(["poses", "thumbs"], "readwrite");
+      tx.objectStore("poses").put(toRecord(item));
+      const blob = thumbToBlob(item.thumb);
+      if (blob) tx.objectStore("thumbs").put(blob, item.id);
+      await txDone(tx);
+    },
+
+    async remove(id) {
+      const tx = db.transaction(["poses", "thumbs"], "readwrite");
+      tx.objectStore("poses").delete(id);
+      tx.objectStore("thumbs").delete(id);
+      await txDone(tx);
+    },
+
+    async clear() {
+      const tx = db.transaction(["poses", "thumbs"], "readwrite");
+      tx.objectStore("poses").clear();
+      tx.objectStore("thumbs").clear();
+      await txDone(tx);
+    },
+
+    estimate: estimateUsage,
+
+    release(item) {
+      const url = urls.get(item?.id);
+      if (!url) return;
+      URL.revokeObjectURL(url);
+      urls.delete(item.id);
+    }
+  };
+}
+
+/* ---------------- localStorage fallback ---------------- */
+
+function createLocalStorageStore({ legacyKey }) {
+  const readAll = () => readLegacyItems(legacyKey).filter((it) => it.thumb);
+  const writeAll = (items) => localStorage.setItem(legacyKey, JSON.stringify(items));
+
+  return {
+    backend: "localStorage",
+    capped: true,
+    migrated: 0,
+
+    async getAll() {
+      return readAll();
+    },
+
+    async put(item) {
+      const items = readAll();
+      const i = items.findIndex((x) => x.id === item.id);
+      if (i >= 0) items[i] = item;
+      else items.unshift(item);
+      writeAll(items);
+    },
+
+    async remove(id) {
+      writeAll(readAll().filter((x) => x.id !== id));
+    },
+
+    async clear() {
+      writeAll([]);
+    },
+
+    async estimate() {
+      // localStorage has no quota API; report what our key takes (UTF-16 → 2 bytes/char)
+      const raw = localStorage.getItem(legacyKey) || "";
+      return { usage: raw.length * 2, quota: null };
+    },
+
+    release() {}
+  };
+}
+
+/**
+ * Open the gallery store: IndexedDB if possible (migrating the old localStorage key once),
+ * otherwise the localStorage fallback.
+ * @param {{ legacyKey?: string }} [opts]
+ * @returns {Promise<GalleryStore>}
+ */
+export async function openGalleryStore({ legacyKey = "pose_sandbox_gallery_v1" } = {}) {
+  if (typeof indexedDB !== "undefined") {
+    try {
+      return await createIndexedDbStore({ legacyKey });
+    } catch (e) {
+      console.warn("IndexedDB unavailable, gallery falls back to localStorage:", e);
+    }
+  }
+  return createLocalStorageStore({ legacyKey });
+}
+
+/** "1.2 MB" style size for usage labels. */
+export function formatBytes(n) {
+  if (!Number.isFinite(n)) return "?";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  if (n < 1024 * 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(n / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
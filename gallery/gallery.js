@@ -1,57 +1,173 @@
 // gallery/Gallery.js
-// PoseSandbox Gallery (localStorage + thumbnails) extracted from your working app.js.
+// PoseSandbox Gallery (IndexedDB + thumbnails) extracted from your working app.js.
+// Storage lives in gallery/gallery-store.js (IndexedDB, falls back to the old localStorage key).
 // This module does NOT touch three.js directly; it only needs callbacks you pass in.
 // - serializePose(): returns pose object
 // - applyPose(pose): applies pose to scene/world
 // - captureThumbnail(size): returns dataURL png string
 // - showToast(msg, ms): UI feedback
 // - niceTime(iso): formatting helper (optional; if missing, it will show raw iso)
+// - validatePose(pose): (optional) schema report (poses/pose-schema.js); stored poses are migrated
+//   through it on load and items it rejects are dropped
+// - onLoadReport(entries): (optional) gets [{ name, report }] for stored items rejected/fixed on load
+// - onChange(items): (optional) called after the item list was loaded or changed
+//
+// Items: { id, name, createdAt, notes, pose, thumb, tags: string[], folder: string, lastUsedAt? }
+// Search/folder/sort only change what render() shows; this.items keeps every item (newest first).
+//
+// The in-memory list (this.items) is the source of truth for rendering; every change is written
+// through to the store in the background (a failed write only shows a toast).
+
+import { openGalleryStore, formatBytes, blobToDataUrl } from "./gallery-store.js";
+import { exportGalleryArchive, readGalleryArchive, poseFingerprint } from "./gallery-archive.js";
+
+export const GALLERY_SORTS = ["newest", "oldest", "name", "recent"];
+
+/**
+ * "Hero, wip , hero" -> ["hero", "wip"] (trimmed, lowercased, unique).
+ * @param {string|string[]} input
+ * @returns {string[]}
+ */
+export function parseTags(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(",");
+  const out = [];
+  list.forEach((t) => {
+    const tag = String(t ?? "").trim().toLowerCase();
+    if (tag && !out.includes(tag)) out.push(tag);
+  });
+  return out;
+}
+
+/** Folder names are free text; "" means no folder. */
+export function normalizeFolder(input) {
+  return String(input ?? "").trim().replace(/\s+/g, " ");
+}
 
 export class Gallery {
   constructor(opts = {}) {
-    this.key = opts.key || "pose_sandbox_gallery_v1";
-    this.maxItems = Number.isFinite(opts.maxItems) ? opts.maxItems : 30;
+    this.key = opts.key || "pose_sandbox_gallery_v1"; // legacy localStorage key (migration + fallback)
+    this.maxItems = Number.isFinite(opts.maxItems) ? opts.maxItems : 30; // localStorage fallback only
 
     this.serializePose = opts.serializePose || null;
     this.applyPose = opts.applyPose || null;
     this.captureThumbnail = opts.captureThumbnail || null;
     this.showToast = opts.showToast || (() => {});
     this.niceTime = opts.niceTime || ((iso) => String(iso || ""));
+    this.validatePose = opts.validatePose || null;
+    this.onLoadReport = opts.onLoadReport || null;
+    this.onChange = opts.onChange || null;
 
     this.poseNotesEl = opts.poseNotesEl || null; // <textarea> (optional)
     this.containerEl = opts.containerEl || null; // #poseGallery (required to render)
+    this.usageEl = opts.usageEl || null;         // storage usage line (optional)
+    this.folderEl = opts.folderEl || null;       // <select> folder filter (optional, options filled by render)
+
+    // view filter (see setQuery/setFolder/setSort)
+    this.query = "";
+    this.folder = "*"; // "*" = all folders, "" = no folder
+    this.sort = "newest";
 
     this.items = [];
     this.selectedId = null;
+
+    this.store = null;
+    this._storePromise = null;
   }
 
   /* ---------------- storage ---------------- */
 
-  loadFromStorage() {
-    const raw = localStorage.getItem(this.key);
+  _openStore() {
+    if (!this._storePromise) {
+      this._storePromise = openGalleryStore({ legacyKey: this.key }).then((store) => {
+        this.store = store;
+        if (store.migrated) {
+          this.showToast(`Gallery moved to IndexedDB (${store.migrated} pose${store.migrated > 1 ? "s" : ""})`, 2200);
+        }
+        return store;
+      });
+    }
+    return this._storePromise;
+  }
+
+  async loadFromStorage() {
     let parsed = [];
     try {
-      parsed = JSON.parse(raw || "[]");
-    } catch {
-      parsed = [];
+      const store = await this._openStore();
+      parsed = await store.getAll();
+    } catch (e) {
+      console.warn("Gallery load failed:", e);
+      this.showToast("Gallery load failed", 1800);
     }
     if (!Array.isArray(parsed)) parsed = [];
 
-    // keep only valid-ish items
-    parsed = parsed.filter((it) => it && typeof it === "object" && it.id && it.pose && it.thumb);
-    if (parsed.length > this.maxItems) parsed = parsed.slice(0, this.maxItems);
+    // keep only valid-ish items, newest first
+    parsed = parsed.filter((it) => it && typeof it === "object" && it.id && it.pose);
+    parsed.forEach((it) => {
+      it.tags = parseTags(it.tags);
+      it.folder = normalizeFolder(it.folder);
+    });
+    parsed.sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+    if (this.store?.capped && parsed.length > this.maxItems) parsed = parsed.slice(0, this.maxItems);
+
+    // schema check + migration of stored poses
+    if (typeof this.validatePose === "function") {
+      const entries = [];
+      parsed = parsed.filter((it) => {
+        const report = this.validatePose(it.pose);
+        if (!report.ok || report.warnings.length) entries.push({ name: it.name || it.id, report });
+        if (!report.ok) return false;
+        it.pose = report.pose;
+        return true;
+      });
+
+      if (entries.length) {
+        const rejected = entries.filter((e) => !e.report.ok).length;
+        if (rejected) this.showToast(`Gallery: ${rejected} invalid pose${rejected > 1 ? "s" : ""} skipped`, 2200);
+        if (typeof this.onLoadReport === "function") this.onLoadReport(entries);
+      }
+    }
+
+    // the gallery is usable before the store opens: keep poses saved/edited in the meantime
+    // (their writes are queued behind _openStore() and land in the store anyway)
+    if (this.items.length) {
+      const byId = new Map(parsed.map((it) => [it.id, it]));
+      this.items.forEach((it) => byId.set(it.id, it));
+      parsed = [...byId.values()].sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+    }
 
     this.items = parsed;
     this.ensureSelectionValid();
+    this._notifyChange();
+    this.updateUsage();
   }
 
-  saveToStorage() {
-    try {
-      localStorage.setItem(this.key, JSON.stringify(this.items));
-    } catch (e) {
-      console.warn("Gallery save failed:", e);
-      this.showToast("Gallery save failed (storage full?)", 1800);
-    }
+  /**
+   * Write-through to the store (background). `op` gets the opened store.
+   * @param {(store:import("./gallery-store.js").GalleryStore)=>Promise<any>} op
+   */
+  _persist(op) {
+    this._notifyChange();
+    return this._openStore()
+      .then((store) => op(store))
+      .catch((e) => {
+        console.warn("Gallery save failed:", e);
+        this.showToast("Gallery save failed (storage full?)", 1800);
+      })
+      .finally(() => this.updateUsage());
+  }
+
+  _notifyChange() {
+    if (typeof this.onChange === "function") this.onChange(this.items);
+  }
+
+  /** Show "N poses · X used (backend)" in usageEl. */
+  async updateUsage() {
+    if (!this.usageEl || !this.store) return;
+    const { usage, quota } = await this.store.estimate();
+    const n = this.items.length;
+    const where = this.store.backend === "indexeddb" ? "IndexedDB" : `localStorage, max ${this.maxItems}`;
+    const used = usage == null ? "" : ` · ${formatBytes(usage)}${quota ? ` of ${formatBytes(quota)}` : ""} used`;
+    this.usageEl.textContent = `${n} pose${n === 1 ? "" : "s"}${used} (${where})`;
   }
 
   /* ---------------- utils ---------------- */
@@ -60,6 +176,47 @@ export class Gallery {
     return `${Date.now()}_${Math.random().toString(16).slice(2)}`;
   }
 
+  /** Sorted folder names in use. */
+  getFolders() {
+    return [...new Set(this.items.map((it) => it.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  }
+
+  /** Items matching the current search + folder filter, in the current sort order. */
+  getVisibleItems() {
+    const words = this.query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const list = this.items.filter((it) => {
+      if (this.folder !== "*" && it.folder !== this.folder) return false;
+      if (!words.length) return true;
+      const hay = [it.name, it.notes, ...(it.tags || [])].join(" ").toLowerCase();
+      return words.every((w) => hay.includes(w));
+    });
+
+    const time = (iso) => Date.parse(iso || "") || 0;
+    const bySort = {
+      newest: (a, b) => time(b.createdAt) - time(a.createdAt),
+      oldest: (a, b) => time(a.createdAt) - time(b.createdAt),
+      name: (a, b) => String(a.name || "").localeCompare(String(b.name || ""), undefined, { numeric: true }),
+      recent: (a, b) => time(b.lastUsedAt || b.createdAt) - time(a.lastUsedAt || a.createdAt)
+    };
+    return list.sort(bySort[this.sort] || bySort.newest);
+  }
+
+  setQuery(q) {
+    this.query = String(q || "");
+    this.render();
+  }
+
+  setFolder(folder) {
+    this.folder = folder === "*" ? "*" : normalizeFolder(folder);
+    this.render();
+  }
+
+  setSort(sort) {
+    this.sort = GALLERY_SORTS.includes(sort) ? sort : "newest";
+    this.render();
+  }
+
   ensureSelectionValid() {
     if (!this.selectedId) return;
     const exists = this.items.some((it) => it.id === this.selectedId);
@@ -73,6 +230,7 @@ export class Gallery {
     if (!el) return;
 
     this.ensureSelectionValid();
+    this._renderFolderOptions();
     el.innerHTML = "";
 
     if (!this.items.length) {
@@ -83,9 +241,19 @@ export class Gallery {
       return;
     }
 
-    this.items.forEach((it, idx) => {
+    const visible = this.getVisibleItems();
+    if (!visible.length) {
+      const empty = document.createElement("div");
+      empty.className = "hint";
+      empty.textContent = "No poses match this search/folder.";
+      el.appendChild(empty);
+      return;
+    }
+
+    visible.forEach((it, idx) => {
+      const active = it.id === this.selectedId;
       const card = document.createElement("div");
-      card.className = "poseItem" + (it.id === this.selectedId ? " poseItem--active" : "");
+      card.className = "poseItem" + (active ? " poseItem--active" : "");
       card.title = "Click to load this pose";
 
       const badge = document.createElement("div");
@@ -107,17 +275,32 @@ export class Gallery {
 
       const time = document.createElement("div");
       time.className = "poseTime";
-      time.textContent = this.niceTime(it.createdAt || "");
+      time.textContent = this.niceTime(it.createdAt || "") + (it.folder ? ` · ${it.folder}` : "");
 
       meta.appendChild(name);
       meta.appendChild(time);
 
+      if (it.tags?.length) {
+        const tags = document.createElement("div");
+        tags.className = "poseTags";
+        it.tags.forEach((t) => {
+          const tag = document.createElement("span");
+          tag.className = "poseTag";
+          tag.textContent = t;
+          tags.appendChild(tag);
+        });
+        meta.appendChild(tags);
+      }
+
       card.appendChild(img);
       card.appendChild(badge);
       card.appendChild(meta);
+      if (active) card.appendChild(this._renderEditor(it));
 
       card.addEventListener("click", () => {
         this.selectedId = it.id;
+        it.lastUsedAt = new Date().toISOString();
+        this._persist((store) => store.put(it));
         this.render();
 
         if (typeof this.applyPose === "function") {
@@ -135,9 +318,70 @@ export class Gallery {
     });
   }
 
+  /** Tags + folder fields shown on the selected card. */
+  _renderEditor(it) {
+    const edit = document.createElement("div");
+    edit.className = "poseEdit";
+    // typing/clicking in the editor must not (re)load the pose
+    edit.addEventListener("click", (e) => e.stopPropagation());
+
+    const tags = document.createElement("input");
+    tags.className = "input";
+    tags.type = "text";
+    tags.placeholder = "Tags (comma separated)";
+    tags.value = (it.tags || []).join(", ");
+    tags.addEventListener("change", () => this.setTags(it.id, tags.value));
+
+    const folder = document.createElement("input");
+    folder.className = "input";
+    folder.type = "text";
+    folder.placeholder = "Folder";
+    folder.value = it.folder || "";
+    folder.setAttribute("list", "galleryFolderList");
+    folder.addEventListener("change", () => this.setItemFolder(it.id, folder.value));
+
+    const list = document.createElement("datalist");
+    list.id = "galleryFolderList";
+    this.getFolders().forEach((f) => {
+      const opt = document.createElement("option");
+      opt.value = f;
+      list.appendChild(opt);
+    });
+
+    edit.appendChild(tags);
+    edit.appendChild(folder);
+    edit.appendChild(list);
+    return edit;
+  }
+
+  _renderFolderOptions() {
+    const sel = this.folderEl;
+    if (!sel) return;
+
+    const folders = this.getFolders();
+    if (this.folder !== "*" && this.folder !== "" && !folders.includes(this.folder)) this.folder = "*";
+
+    sel.innerHTML = "";
+    const add = (value, label) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      sel.appendChild(opt);
+    };
+    add("*", "All folders");
+    add("", "(no folder)");
+    folders.forEach((f) => add(f, f));
+    sel.value = this.folder;
+  }
+
   /* ---------------- actions ---------------- */
 
-  saveCurrentPoseToGallery({ name = "", withToast = true } = {}) {
+  /**
+   * Capture the current pose + thumbnail as a new item.
+   * New items go into the folder being viewed unless `folder` is given.
+   * @param {{ name?: string, withToast?: boolean, tags?: string|string[], folder?: string }} [opts]
+   */
+  saveCurrentPoseToGallery({ name = "", withToast = true, tags = [], folder } = {}) {
     if (typeof this.serializePose !== "function") {
       this.showToast("Gallery: serializePose() missing", 1800);
       return;
@@ -160,20 +404,181 @@ export class Gallery {
       name: String(name || "").trim() || `Pose ${this.items.length + 1}`,
       createdAt: new Date().toISOString(),
       notes: String(this.poseNotesEl?.value || ""),
+      tags: parseTags(tags),
+      folder: normalizeFolder(folder ?? (this.folder === "*" ? "" : this.folder)),
       pose,
       thumb
     };
 
     this.items.unshift(item);
-    if (this.items.length > this.maxItems) this.items.length = this.maxItems;
-
     this.selectedId = item.id;
-    this.saveToStorage();
+    this._persistAdded([item]);
     this.render();
 
     if (withToast) this.showToast("Saved to gallery");
   }
 
+  /**
+   * Add an item that already has a thumbnail (file/archive import): no scene render needed.
+   * Without a thumbnail the pose is applied and captured like saveCurrentPoseToGallery.
+   * @param {{ name?:string, pose:Object, thumb?:string, thumbBlob?:Blob, notes?:string, tags?:string[],
+   *           folder?:string, createdAt?:string, lastUsedAt?:string, id?:string }} data
+   * @param {{ withToast?: boolean, persist?: boolean }} [opts]
+   * @returns {Promise<Object|null>} the new item
+   */
+  async addItem(data, { withToast = true, persist = true } = {}) {
+    const item = await this._makeItem(data);
+    if (!item) return null;
+
+    this.items.unshift(item);
+    this.selectedId = item.id;
+    if (persist) this._persistAdded([item]);
+    this.render();
+    if (withToast) this.showToast("Saved to gallery");
+    return item;
+  }
+
+  async _makeItem(data) {
+    let thumb = data.thumb || "";
+    if (!thumb && data.thumbBlob) thumb = await blobToDataUrl(data.thumbBlob);
+    if (!thumb) {
+      // no thumbnail shipped: render one from the pose (old importPosePack behaviour)
+      if (typeof this.applyPose !== "function" || typeof this.captureThumbnail !== "function") return null;
+      this.applyPose(data.pose);
+      thumb = this.captureThumbnail(256);
+      if (!thumb) return null;
+    }
+
+    const id = data.id && !this.items.some((x) => x.id === data.id) ? data.id : this.uid();
+    return {
+      id,
+      name: String(data.name || "").trim() || `Pose ${this.items.length + 1}`,
+      createdAt: data.createdAt || new Date().toISOString(),
+      lastUsedAt: data.lastUsedAt || undefined,
+      notes: String(data.notes ?? data.pose?.notes ?? ""),
+      tags: parseTags(data.tags ?? data.pose?.tags),
+      folder: normalizeFolder(data.folder ?? data.pose?.folder),
+      pose: data.pose,
+      thumb
+    };
+  }
+
+  /** Persist newly added items (and drop the overflow on the capped localStorage backend). */
+  _persistAdded(added) {
+    const dropped = this.store?.capped && this.items.length > this.maxItems ? this.items.splice(this.maxItems) : [];
+    return this._persist(async (store) => {
+      for (const it of added) if (!dropped.includes(it)) await store.put(it);
+      for (const it of dropped) await store.remove(it.id);
+    });
+  }
+
+  /* ---------------- archive (zip) ---------------- */
+
+  /** @returns {Promise<Blob|null>} zip with manifest, poses and thumbnails */
+  async exportArchive() {
+    if (!this.items.length) {
+      this.showToast("Gallery is empty");
+      return null;
+    }
+    return exportGalleryArchive(this.items);
+  }
+
+  /**
+   * Merge a gallery archive. Duplicates (same id, or same pose content) are resolved once for the
+   * whole import by `resolveDuplicates` ("skip" | "replace" | "keep"; null cancels the import).
+   * @param {Blob} file
+   * @param {{ resolveDuplicates?: (dups:{ incoming:Object, existing:Object }[])=>Promise<"skip"|"replace"|"keep"|null> }} [opts]
+   * @returns {Promise<{ added:number, replaced:number, skipped:number, entries:any[], error:string }>}
+   */
+  async importArchive(file, { resolveDuplicates = null } = {}) {
+    const result = { added: 0, replaced: 0, skipped: 0, entries: [], error: "" };
+
+    const { items, entries, error } = await readGalleryArchive(file, { validatePose: this.validatePose });
+    result.entries = entries;
+    if (error) {
+      result.error = error;
+      return result;
+    }
+
+    const byId = new Map(this.items.map((it) => [it.id, it]));
+    const byContent = new Map(this.items.map((it) => [poseFingerprint(it.pose), it]));
+
+    const dups = [];
+    const fresh = [];
+    items.forEach((incoming) => {
+      const existing = (incoming.id && byId.get(incoming.id)) || byContent.get(poseFingerprint(incoming.pose));
+      if (existing) dups.push({ incoming, existing });
+      else fresh.push(incoming);
+    });
+
+    let action = "skip";
+    if (dups.length && typeof resolveDuplicates === "function") {
+      action = await resolveDuplicates(dups);
+      if (!action) {
+        result.error = "cancelled";
+        return result;
+      }
+    }
+
+    const added = [];
+    const replaced = [];
+
+    // oldest first, so unshift leaves the archive's newest item on top
+    for (const incoming of fresh.slice().reverse()) {
+      const item = await this._makeItem(incoming);
+      if (!item) continue;
+      this.items.unshift(item);
+      added.push(item);
+    }
+
+    for (const { incoming, existing } of dups) {
+      if (action === "skip") {
+        result.skipped++;
+        continue;
+      }
+      if (action === "keep") {
+        const item = await this._makeItem({ ...incoming, id: "" });
+        if (!item) continue;
+        this.items.unshift(item);
+        added.push(item);
+        continue;
+      }
+      // replace: keep the existing id/slot, take everything else from the archive
+      const item = await this._makeItem({ ...incoming, id: "" });
+      if (!item) continue;
+      this.store?.release(existing);
+      Object.assign(existing, { ...item, id: existing.id });
+      replaced.push(existing);
+    }
+
+    result.added = added.length;
+    result.replaced = replaced.length;
+
+    if (added.length || replaced.length) {
+      this._persistAdded([...added, ...replaced]);
+      this.render();
+    }
+    return result;
+  }
+
+  setTags(id, input) {
+    const it = this.items.find((x) => x.id === id);
+    if (!it) return;
+    it.tags = parseTags(input);
+    this._persist((store) => store.put(it));
+    this.render();
+    this.showToast(it.tags.length ? `Tags: ${it.tags.join(", ")}` : "Tags cleared");
+  }
+
+  setItemFolder(id, input) {
+    const it = this.items.find((x) => x.id === id);
+    if (!it) return;
+    it.folder = normalizeFolder(input);
+    this._persist((store) => store.put(it));
+    this.render();
+    this.showToast(it.folder ? `Moved to folder: ${it.folder}` : "Removed from folder");
+  }
+
   renameSelected() {
     if (!this.selectedId) {
       this.showToast("Select a pose thumbnail first");
@@ -188,7 +593,7 @@ export class Gallery {
     const trimmed = String(next).trim();
     it.name = trimmed || it.name || "Untitled pose";
 
-    this.saveToStorage();
+    this._persist((store) => store.put(it));
     this.render();
     this.showToast("Pose renamed");
   }
@@ -198,13 +603,16 @@ export class Gallery {
       this.showToast("Select a pose thumbnail first");
       return;
     }
-    const before = this.items.length;
+    const removed = this.items.find((x) => x.id === this.selectedId);
     this.items = this.items.filter((x) => x.id !== this.selectedId);
     this.selectedId = null;
 
-    if (this.items.length === before) return;
+    if (!removed) return;
 
-    this.saveToStorage();
+    this._persist(async (store) => {
+      await store.remove(removed.id);
+      store.release(removed);
+    });
     this.render();
     this.showToast("Pose deleted");
   }
@@ -217,10 +625,14 @@ export class Gallery {
     const ok = confirm("Clear ALL saved poses from gallery? (This cannot be undone)");
     if (!ok) return;
 
+    const removed = this.items;
     this.items = [];
     this.selectedId = null;
 
-    this.saveToStorage();
+    this._persist(async (store) => {
+      await store.clear();
+      removed.forEach((it) => store.release(it));
+    });
     this.render();
     this.showToast("Gallery cleared");
   }
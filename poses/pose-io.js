@@ -6,22 +6,67 @@
 // - world: { joints: Group[], props: Group[] }
 // - scene: THREE.Scene
 // - poseNotesEl: <textarea> (optional)
-// - addProp(type): (type:"cube"|"sphere") => creates a prop and pushes into world.props + scene.add
+// - cameras / applyCameras(list): camera bookmarks saved with the pose (optional, controls/camera-views.js)
+// - lighting / applyLighting(state): lighting rig saved with the pose (optional, engine/lighting.js)
+// - addProp(type): (type: any of PROP_TYPES) => creates a prop, pushes into world.props + scene.add, returns it
 // - showToast(msg, ms)
 // - updateOutline(): refresh outline helper
 // - forceRenderOnce(): (optional) one immediate render after applying
 // - resetAllJointRotations(): (optional but recommended)
+// - clampJoints(joints): (optional) joint limits applied after loading (see character/constraints.js)
 //
-// It also provides importPosePack(files, {applyPose, saveToGallery, renderGallery, showToast})
-// (this matches your "import many json files" goal — creates thumbnails automatically)
+// It also provides importPosePack(files, {applyPose, saveToGallery, addToGallery, renderGallery, showToast})
+// (this matches your "import many json files" goal — uses a same-named .png as the thumbnail,
+// and only renders one when the pose comes without it)
+// and mirrorPose(data, mode) to mirror/flip a pose object across the character's left/right.
+// Validation + version migrations live in poses/pose-schema.js.
+
+import { POSE_VERSION, inferPropType, validatePose } from "./pose-schema.js";
+
+export { POSE_VERSION, inferPropType };
 
 export function nowISO() {
   return new Date().toISOString();
 }
 
+/* ---------------- Prop helpers ---------------- */
+
+function firstMesh(prop) {
+  let mesh = null;
+  prop?.traverse?.((o) => {
+    if (!mesh && o?.isMesh && o.material) mesh = o;
+  });
+  return mesh;
+}
+
+function readPropMaterial(prop) {
+  const mat = firstMesh(prop)?.material;
+  if (!mat) return {};
+  const out = {};
+  if (mat.color?.getHexString) out.color = "#" + mat.color.getHexString();
+  if (Number.isFinite(mat.roughness)) out.roughness = mat.roughness;
+  if (Number.isFinite(mat.metalness)) out.metalness = mat.metalness;
+  out.doubleSided = mat.side === 2; // THREE.DoubleSide
+  return out;
+}
+
+function writePropMaterial(prop, pd) {
+  prop?.traverse?.((o) => {
+    if (!o?.isMesh || !o.material) return;
+    const mat = o.material;
+    if (typeof pd.color === "string" || Number.isFinite(pd.color)) mat.color?.set?.(pd.color);
+    if (Number.isFinite(pd.roughness)) mat.roughness = pd.roughness;
+    if (Number.isFinite(pd.metalness)) mat.metalness = pd.metalness;
+    if (typeof pd.doubleSided === "boolean") {
+      mat.side = pd.doubleSided ? 2 : 0; // THREE.DoubleSide : THREE.FrontSide
+      mat.needsUpdate = true;
+    }
+  });
+}
+
 /* ---------------- Pose Serialize ---------------- */
 
-export function serializePose({ world, poseNotesEl }) {
+export function serializePose({ world, poseNotesEl, cameras = null, lighting = null }) {
   if (!world || !world.joints || !world.props) throw new Error("serializePose: missing world");
 
   const joints = {};
@@ -31,18 +76,87 @@ export function serializePose({ world, poseNotesEl }) {
 
   const props = world.props.map((p) => ({
     name: p.name,
+    type: String(p.userData?.type || inferPropType({ name: p.name })), // not p itself: p.type is "Group"
     position: p.position.toArray(),
     quaternion: p.quaternion.toArray(),
-    scale: p.scale.toArray()
+    scale: p.scale.toArray(),
+    ...readPropMaterial(p)
   }));
 
-  return {
-    version: 1,
+  const out = {
+    version: POSE_VERSION,
     notes: String(poseNotesEl?.value || ""),
     joints,
     props,
     savedAt: nowISO()
   };
+  if (Array.isArray(cameras) && cameras.length) out.cameras = cameras;
+  if (lighting && typeof lighting === "object") out.lighting = lighting;
+  return out;
+}
+
+/* ---------------- Pose Mirror ---------------- */
+
+/** "l_elbow" <-> "r_elbow"; central joints (chest, neck, hips...) map to themselves. */
+export function mirrorJointName(name) {
+  const n = String(name || "");
+  if (n.startsWith("l_")) return "r_" + n.slice(2);
+  if (n.startsWith("r_")) return "l_" + n.slice(2);
+  return n;
+}
+
+/**
+ * Reflect a rotation across the sagittal (YZ) plane: [x, y, z, w] -> [x, -y, -z, w].
+ * Valid because left/right joints share the same rest orientation.
+ */
+export function mirrorQuaternionArray(q) {
+  return [q[0], -q[1], -q[2], q[3]];
+}
+
+/**
+ * Mirror a pose object (does NOT touch the scene; returns a new object).
+ * - "l2r":  copy l_* joints onto r_* joints (mirrored)
+ * - "r2l":  copy r_* joints onto l_* joints (mirrored)
+ * - "flip": swap both sides and mirror central joints + props (a full left/right flip)
+ *
+ * @param {Object} data pose object (serializePose format)
+ * @param {"l2r"|"r2l"|"flip"} [mode="flip"]
+ */
+export function mirrorPose(data, mode = "flip") {
+  if (!data || typeof data !== "object") throw new Error("Invalid pose JSON");
+
+  const src = data.joints && typeof data.joints === "object" ? data.joints : {};
+  const isQuat = (q) => Array.isArray(q) && q.length === 4;
+  const joints = {};
+
+  if (mode === "flip") {
+    Object.keys(src).forEach((name) => {
+      if (isQuat(src[name])) joints[mirrorJointName(name)] = mirrorQuaternionArray(src[name]);
+    });
+  } else {
+    const fromPrefix = mode === "r2l" ? "r_" : "l_";
+    Object.keys(src).forEach((name) => {
+      if (isQuat(src[name])) joints[name] = src[name].slice();
+    });
+    Object.keys(src).forEach((name) => {
+      if (name.startsWith(fromPrefix) && isQuat(src[name])) {
+        joints[mirrorJointName(name)] = mirrorQuaternionArray(src[name]);
+      }
+    });
+  }
+
+  const out = { ...data, joints };
+
+  if (mode === "flip" && Array.isArray(data.props)) {
+    out.props = data.props.map((pd) => {
+      const p = { ...pd };
+      if (Array.isArray(pd?.position) && pd.position.length === 3) p.position = [-pd.position[0], pd.position[1], pd.position[2]];
+      if (Array.isArray(pd?.quaternion) && pd.quaternion.length === 4) p.quaternion = mirrorQuaternionArray(pd.quaternion);
+      return p;
+    });
+  }
+
+  return out;
 }
 
 /* ---------------- Pose Apply ---------------- */
@@ -53,9 +167,12 @@ export function applyPose(data, deps) {
     scene,
     poseNotesEl,
     addProp,
+    applyCameras,
+    applyLighting,
     showToast,
     updateOutline,
-    forceRenderOnce
+    forceRenderOnce,
+    clampJoints
   } = deps || {};
 
   if (!data || typeof data !== "object") throw new Error("Invalid pose JSON");
@@ -68,6 +185,7 @@ export function applyPose(data, deps) {
       const q = data.joints[j.name];
       if (Array.isArray(q) && q.length === 4) j.quaternion.fromArray(q);
     });
+    if (typeof clampJoints === "function") clampJoints(world.joints);
   }
 
   // Apply props (rebuild like your app.js)
@@ -76,22 +194,23 @@ export function applyPose(data, deps) {
     world.props.forEach((p) => scene.remove(p));
     world.props.length = 0;
 
-    // add new
+    // add new (every prop type; v1 files get their type guessed from the name)
     data.props.forEach((pd) => {
-      const isCube = String(pd?.name || "").toLowerCase().includes("cube");
+      if (!pd || typeof pd !== "object") return;
       if (typeof addProp !== "function") {
         // fallback: skip creation if addProp missing
         return;
       }
-      addProp(isCube ? "cube" : "sphere");
+      const created = addProp(inferPropType(pd));
 
-      const p = world.props[world.props.length - 1];
+      const p = created || world.props[world.props.length - 1];
       if (!p) return;
 
       if (pd.position) p.position.fromArray(pd.position);
       if (pd.quaternion) p.quaternion.fromArray(pd.quaternion);
       if (pd.scale) p.scale.fromArray(pd.scale);
       if (pd.name) p.name = pd.name;
+      writePropMaterial(p, pd);
     });
   }
 
@@ -100,6 +219,12 @@ export function applyPose(data, deps) {
     poseNotesEl.value = data.notes;
   }
 
+  // Camera bookmarks (only poses that carry them replace the current list)
+  if (Array.isArray(data.cameras) && typeof applyCameras === "function") applyCameras(data.cameras);
+
+  // Lighting rig (older poses keep whatever rig is active)
+  if (data.lighting && typeof data.lighting === "object" && typeof applyLighting === "function") applyLighting(data.lighting);
+
   // Visual refresh hooks
   if (typeof updateOutline === "function") updateOutline();
   if (typeof forceRenderOnce === "function") forceRenderOnce();
@@ -113,7 +238,8 @@ export function applyPoseJointsOnly(data, deps) {
     resetAllJointRotations,
     showToast,
     updateOutline,
-    forceRenderOnce
+    forceRenderOnce,
+    clampJoints
   } = deps || {};
 
   if (!data || typeof data !== "object") throw new Error("Invalid preset/pose object");
@@ -132,6 +258,8 @@ export function applyPoseJointsOnly(data, deps) {
     }
   });
 
+  if (typeof clampJoints === "function") clampJoints(world.joints);
+
   if (typeof updateOutline === "function") updateOutline();
   if (typeof forceRenderOnce === "function") forceRenderOnce();
 
@@ -148,31 +276,84 @@ export function applyPoseJointsOnly(data, deps) {
  * files: FileList or File[]
  * deps:
  *  - applyPose(data) : should apply pose in the scene
- *  - saveToGallery({name, withToast}) : your gallery save method
+ *  - saveToGallery({name, withToast, tags, folder}) : your gallery save method (renders a thumbnail)
+ *  - addToGallery({name, pose, thumbBlob, notes, tags, folder}) : optional, used when a same-named .png
+ *    was picked with the .json (no re-render); returns a Promise
  *  - renderGallery() : optional
  *  - showToast(msg)
+ *  - validateOptions : optional { knownJoints, propTypes } for validatePose()
+ *  - onReport(entries) : optional, gets [{ name, report }] for every file that was rejected or had warnings
  */
 export async function importPosePack(files, deps = {}) {
-  const { applyPose: applyPoseFn, saveToGallery, renderGallery, showToast } = deps;
+  const { applyPose: applyPoseFn, saveToGallery, addToGallery, renderGallery, showToast, validateOptions, onReport } =
+    deps;
 
   if (!files || !files.length) return;
   let imported = 0;
+  const entries = [];
+
+  // "jump.json" + "jump.png" => the png is jump's thumbnail
+  const baseName = (name) => String(name || "").replace(/\.[^.]+$/, "").toLowerCase();
+  const thumbs = new Map();
+  Array.from(files).forEach((f) => {
+    if (/\.png$/i.test(f?.name || "")) thumbs.set(baseName(f.name), f);
+  });
+  const jsonNames = new Set(
+    Array.from(files)
+      .filter((f) => /\.json$/i.test(f?.name || ""))
+      .map((f) => baseName(f.name))
+  );
 
   for (const file of files) {
-    if (!file?.name?.toLowerCase().endsWith(".json")) continue;
+    if (thumbs.get(baseName(file?.name)) === file) {
+      if (!jsonNames.has(baseName(file.name))) {
+        entries.push({
+          name: file.name,
+          report: { ok: false, errors: [{ path: "", message: "no matching pose, ignored" }], warnings: [] }
+        });
+      }
+      continue;
+    }
+
+    if (!file?.name?.toLowerCase().endsWith(".json")) {
+      entries.push({
+        name: String(file?.name || "file"),
+        report: { ok: false, errors: [{ path: "", message: "not a .json file" }], warnings: [] }
+      });
+      continue;
+    }
 
     try {
       const text = await file.text();
-      const data = JSON.parse(text);
-
-      if (typeof applyPoseFn === "function") {
-        applyPoseFn(data); // so the thumbnail matches this pose
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        entries.push({ name: file.name, report: { ok: false, errors: [{ path: "", message: "invalid JSON" }], warnings: [] } });
+        continue;
       }
 
+      const report = validatePose(data, validateOptions);
+      if (!report.ok || report.warnings.length) entries.push({ name: file.name, report });
+      if (!report.ok) continue;
+
       const name = file.name.replace(/\.json$/i, "");
+      const meta = { name, withToast: false, tags: report.pose.tags, folder: report.pose.folder };
+
+      const thumbFile = thumbs.get(baseName(file.name));
+      if (thumbFile && typeof addToGallery === "function") {
+        await addToGallery({ ...meta, pose: report.pose, thumbBlob: thumbFile });
+        imported++;
+        continue;
+      }
+
+      if (typeof applyPoseFn === "function") {
+        applyPoseFn(report.pose); // so the thumbnail matches this pose
+      }
 
       if (typeof saveToGallery === "function") {
-        saveToGallery({ name, withToast: false });
+        // gallery tags/folder travel with the pose file when present
+        saveToGallery(meta);
       }
 
       imported++;
@@ -182,6 +363,7 @@ export async function importPosePack(files, deps = {}) {
   }
 
   if (typeof renderGallery === "function") renderGallery();
+  if (entries.length && typeof onReport === "function") onReport(entries);
 
   if (typeof showToast === "function") {
     if (imported > 0) showToast(`Imported ${imported} pose${imported > 1 ? "s" : ""}`);
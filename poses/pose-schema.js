@@ -0,0 +1,414 @@
+// poses/pose-schema.js
+// Pose JSON schema: version constant, validation report, and step-by-step migrations.
+//
+// validatePose(data, opts) never throws. It returns a report:
+// {
+//   ok: boolean,            // false => the whole pose should be rejected (see errors)
+//   errors: Issue[],        // fatal problems
+//   warnings: Issue[],      // fields that were rejected/fixed (the pose is still usable)
+//   pose: Object|null,      // migrated + cleaned copy (safe to apply), null if !ok
+//   fromVersion: number,
+//   version: number
+// }
+// where Issue = { path: string, message: string }.
+//
+// Pure logic (no Three.js, no DOM). Known joint names / prop types are injected by the caller.
+
+// v1: props stored name/position/quaternion/scale only (type guessed from the name on load)
+// v2: props also store type + material (color, roughness, metalness, doubleSided)
+
+import { LIGHT_TYPES, LIGHT_PRESETS } from "../engine/lighting-presets.js"; // plain data, no Three.js
+
+export const POSE_VERSION = 2;
+
+/**
+ * Prop type for a saved prop. v2 files store it; v1 files only have the name
+ * ("prop_torus_3" from spawnProp, or the old cube/sphere naming).
+ * @param {{type?:string, name?:string}} pd
+ * @returns {string}
+ */
+export function inferPropType(pd) {
+  if (typeof pd?.type === "string" && pd.type.trim()) return pd.type.trim().toLowerCase();
+
+  const name = String(pd?.name || "").toLowerCase();
+  const m = name.match(/^prop_([a-z]+)_\d+$/);
+  if (m) return m[1];
+  return name.includes("cube") ? "cube" : "sphere";
+}
+
+/* ---------------- Migrations ---------------- */
+
+/**
+ * MIGRATIONS[n] upgrades a version-n pose to version n+1.
+ * Each step must return a NEW object with `version` bumped.
+ */
+const MIGRATIONS = {
+  // 1 -> 2: props get an explicit type (same guess v1 loaders made from the name)
+  1: (pose) => ({
+    ...pose,
+    version: 2,
+    props: Array.isArray(pose.props)
+      ? pose.props.map((pd) => (pd && typeof pd === "object" ? { ...pd, type: inferPropType(pd) } : pd))
+      : pose.props
+  })
+};
+
+/**
+ * Run migrations up to POSE_VERSION.
+ * @param {Object} data
+ * @returns {{ pose: Object, steps: string[] }}
+ */
+export function migratePose(data) {
+  let pose = { ...data };
+  let v = Number.isInteger(pose.version) ? pose.version : 1;
+  pose.version = v;
+
+  const steps = [];
+  while (v < POSE_VERSION) {
+    const step = MIGRATIONS[v];
+    if (typeof step !== "function") throw new Error(`No migration from pose version ${v}`);
+    pose = step(pose);
+    steps.push(`v${v} → v${pose.version}`);
+    v = pose.version;
+  }
+  return { pose, steps };
+}
+
+/* ---------------- Validation ---------------- */
+
+function isFiniteArray(a, len) {
+  return Array.isArray(a) && a.length === len && a.every((n) => typeof n === "number" && Number.isFinite(n));
+}
+
+/**
+ * Check a quaternion array. Returns { value, error, warning }.
+ * Slightly-off quaternions are normalized (warning); zero-length / malformed ones are rejected.
+ */
+function checkQuaternion(q) {
+  if (!Array.isArray(q)) return { error: "quaternion must be an array" };
+  if (q.length !== 4) return { error: `quaternion needs 4 values (got ${q.length})` };
+  if (!isFiniteArray(q, 4)) return { error: "quaternion has non-numeric or non-finite values" };
+
+  const len = Math.hypot(q[0], q[1], q[2], q[3]);
+  if (len < 1e-6) return { error: "quaternion has zero length" };
+  if (Math.abs(len - 1) > 1e-3) {
+    return { value: q.map((n) => n / len), warning: `quaternion was not normalized (length ${len.toFixed(4)}), fixed` };
+  }
+  return { value: q.slice() };
+}
+
+const LIGHT_PRESET_NAMES = Object.keys(LIGHT_PRESETS);
+
+const isColor = (c) => typeof c === "string" && /^#[0-9a-f]{6}$/i.test(c);
+const isNonNegative = (n) => typeof n === "number" && Number.isFinite(n) && n >= 0;
+
+/**
+ * Check a lighting rig ({ preset, hemisphere, ambient, lights[] }).
+ * Lights without a known type or a usable position are dropped, bad optional fields are removed
+ * (the rig falls back to its defaults for them). Without a `lights` list the rig rebuilds a known
+ * preset, or keeps the lights it has (warned).
+ * @returns {Object}
+ */
+function checkLighting(lighting, warnings) {
+  const known = LIGHT_PRESET_NAMES.includes(lighting.preset);
+  if (lighting.preset !== undefined && lighting.preset !== "custom" && !known) {
+    warnings.push({ path: "lighting.preset", message: `unknown preset ${JSON.stringify(lighting.preset)}, ignored` });
+  }
+  const out = { preset: known ? lighting.preset : "custom" };
+
+  const checkFields = (obj, path, fields) => {
+    const o = {};
+    Object.entries(fields).forEach(([k, ok]) => {
+      if (obj[k] === undefined) return;
+      if (ok(obj[k])) o[k] = obj[k];
+      else warnings.push({ path: `${path}.${k}`, message: "invalid value, ignored" });
+    });
+    return o;
+  };
+
+  ["hemisphere", "ambient"].forEach((key) => {
+    const v = lighting[key];
+    if (v === undefined) return;
+    if (!v || typeof v !== "object" || Array.isArray(v)) {
+      warnings.push({ path: `lighting.${key}`, message: "must be an object, ignored" });
+      return;
+    }
+    out[key] =
+      key === "hemisphere"
+        ? checkFields(v, `lighting.${key}`, { sky: isColor, ground: isColor, intensity: isNonNegative })
+        : checkFields(v, `lighting.${key}`, { color: isColor, intensity: isNonNegative });
+  });
+
+  if (!Array.isArray(lighting.lights)) {
+    if (lighting.lights !== undefined) warnings.push({ path: "lighting.lights", message: "must be a list, ignored" });
+    if (!known) warnings.push({ path: "lighting.lights", message: "missing, current lights kept" });
+    return out;
+  }
+
+  out.lights = [];
+  lighting.lights.forEach((l, i) => {
+    const path = `lighting.lights[${i}]`;
+    if (!l || typeof l !== "object" || Array.isArray(l)) {
+      warnings.push({ path, message: "not an object, ignored" });
+      return;
+    }
+    if (!LIGHT_TYPES.includes(l.type)) {
+      warnings.push({ path: `${path}.type`, message: `unknown light type ${JSON.stringify(l.type)}, ignored` });
+      return;
+    }
+    if (!isFiniteArray(l.position, 3)) {
+      warnings.push({ path: `${path}.position`, message: "needs 3 finite numbers, light ignored" });
+      return;
+    }
+    out.lights.push({
+      type: l.type,
+      position: l.position.slice(),
+      ...checkFields(l, path, {
+        id: (v) => typeof v === "string" && v.length > 0,
+        name: (v) => typeof v === "string",
+        color: isColor,
+        intensity: isNonNegative,
+        target: (v) => isFiniteArray(v, 3),
+        castShadow: (v) => typeof v === "boolean",
+        distance: isNonNegative,
+        decay: isNonNegative,
+        angle: (v) => typeof v === "number" && v >= 1 && v <= 89,
+        penumbra: (v) => typeof v === "number" && v >= 0 && v <= 1
+      })
+    });
+  });
+
+  return out;
+}
+
+/**
+ * Check camera bookmarks ({ name, projection, position, target, fov, height }).
+ * Entries without a usable position/target are dropped, bad optional fields are reset.
+ * @returns {Object[]}
+ */
+function checkCameras(list, warnings) {
+  const out = [];
+  list.forEach((cam, i) => {
+    const path = `cameras[${i}]`;
+    if (!cam || typeof cam !== "object" || Array.isArray(cam)) {
+      warnings.push({ path, message: "not an object, ignored" });
+      return;
+    }
+    if (!isFiniteArray(cam.position, 3) || !isFiniteArray(cam.target, 3)) {
+      warnings.push({ path, message: "needs position + target (3 finite numbers each), ignored" });
+      return;
+    }
+
+    const c = { ...cam, position: cam.position.slice(), target: cam.target.slice() };
+    if (typeof c.name !== "string" || !c.name.trim()) c.name = `View ${out.length + 1}`;
+    if (c.projection !== "perspective" && c.projection !== "orthographic") {
+      if (c.projection !== undefined) warnings.push({ path: `${path}.projection`, message: "unknown projection, using perspective" });
+      c.projection = "perspective";
+    }
+    if (c.fov !== undefined && !(typeof c.fov === "number" && c.fov > 0 && c.fov < 180)) {
+      warnings.push({ path: `${path}.fov`, message: "must be a number 0..180, ignored" });
+      delete c.fov;
+    }
+    if (c.height !== undefined && !(typeof c.height === "number" && Number.isFinite(c.height) && c.height > 0)) {
+      warnings.push({ path: `${path}.height`, message: "must be a positive number, ignored" });
+      delete c.height;
+    }
+    out.push(c);
+  });
+  return out;
+}
+
+/**
+ * Validate + migrate a pose object.
+ * @param {any} data
+ * @param {{ knownJoints?: string[]|null, propTypes?: string[]|null }} [opts]
+ */
+export function validatePose(data, { knownJoints = null, propTypes = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const report = (extra) => ({ ok: errors.length === 0, errors, warnings, ...extra });
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    errors.push({ path: "", message: "pose must be a JSON object" });
+    return report({ pose: null, fromVersion: 0, version: POSE_VERSION });
+  }
+
+  // version
+  let fromVersion = data.version;
+  if (fromVersion === undefined) {
+    warnings.push({ path: "version", message: "missing, assumed 1" });
+    fromVersion = 1;
+  } else if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    errors.push({ path: "version", message: `invalid version ${JSON.stringify(fromVersion)}` });
+  } else if (fromVersion > POSE_VERSION) {
+    errors.push({ path: "version", message: `version ${fromVersion} is newer than this app supports (${POSE_VERSION})` });
+  }
+
+  const hasJoints = data.joints !== undefined;
+  const hasProps = data.props !== undefined;
+  if (hasJoints && (typeof data.joints !== "object" || data.joints === null || Array.isArray(data.joints))) {
+    errors.push({ path: "joints", message: "must be an object of joint name → quaternion" });
+  }
+  if (hasProps && !Array.isArray(data.props)) {
+    errors.push({ path: "props", message: "must be an array" });
+  }
+  if (!hasJoints && !hasProps) {
+    errors.push({ path: "", message: "no joints or props found (not a pose file?)" });
+  }
+
+  if (errors.length) return report({ pose: null, fromVersion, version: POSE_VERSION });
+
+  // migrate first, then validate the current format
+  let pose;
+  try {
+    pose = migratePose({ ...data, version: fromVersion }).pose;
+  } catch (e) {
+    errors.push({ path: "version", message: String(e?.message || e) });
+    return report({ pose: null, fromVersion, version: POSE_VERSION });
+  }
+
+  // joints
+  if (pose.joints) {
+    const known = Array.isArray(knownJoints) ? new Set(knownJoints) : null;
+    const joints = {};
+    Object.keys(pose.joints).forEach((name) => {
+      const path = `joints.${name}`;
+      if (known && !known.has(name)) {
+        warnings.push({ path, message: "unknown joint, ignored" });
+        return;
+      }
+      const r = checkQuaternion(pose.joints[name]);
+      if (r.error) {
+        warnings.push({ path, message: `${r.error}, ignored` });
+        return;
+      }
+      if (r.warning) warnings.push({ path, message: r.warning });
+      joints[name] = r.value;
+    });
+    pose.joints = joints;
+  }
+
+  // props
+  if (Array.isArray(pose.props)) {
+    const types = Array.isArray(propTypes) ? new Set(propTypes) : null;
+    const props = [];
+
+    pose.props.forEach((pd, i) => {
+      const path = `props[${i}]`;
+      if (!pd || typeof pd !== "object" || Array.isArray(pd)) {
+        warnings.push({ path, message: "not an object, ignored" });
+        return;
+      }
+
+      const p = { ...pd };
+
+      if (types && !types.has(p.type)) {
+        warnings.push({ path: `${path}.type`, message: `unknown prop type ${JSON.stringify(p.type)}, using "cube"` });
+        p.type = "cube";
+      }
+
+      if (p.name !== undefined && typeof p.name !== "string") {
+        warnings.push({ path: `${path}.name`, message: "must be a string, ignored" });
+        delete p.name;
+      }
+
+      if (p.position !== undefined && !isFiniteArray(p.position, 3)) {
+        warnings.push({ path: `${path}.position`, message: "needs 3 finite numbers, ignored" });
+        delete p.position;
+      }
+
+      if (p.quaternion !== undefined) {
+        const r = checkQuaternion(p.quaternion);
+        if (r.error) {
+          warnings.push({ path: `${path}.quaternion`, message: `${r.error}, ignored` });
+          delete p.quaternion;
+        } else {
+          if (r.warning) warnings.push({ path: `${path}.quaternion`, message: r.warning });
+          p.quaternion = r.value;
+        }
+      }
+
+      if (p.scale !== undefined && (!isFiniteArray(p.scale, 3) || p.scale.some((n) => n === 0))) {
+        warnings.push({ path: `${path}.scale`, message: "needs 3 finite non-zero numbers, ignored" });
+        delete p.scale;
+      }
+
+      if (p.color !== undefined && !(typeof p.color === "string" && /^#[0-9a-f]{6}$/i.test(p.color))) {
+        warnings.push({ path: `${path}.color`, message: "must be a #rrggbb string, ignored" });
+        delete p.color;
+      }
+
+      ["roughness", "metalness"].forEach((k) => {
+        if (p[k] !== undefined && !(typeof p[k] === "number" && p[k] >= 0 && p[k] <= 1)) {
+          warnings.push({ path: `${path}.${k}`, message: "must be a number 0..1, ignored" });
+          delete p[k];
+        }
+      });
+
+      if (p.doubleSided !== undefined && typeof p.doubleSided !== "boolean") {
+        warnings.push({ path: `${path}.doubleSided`, message: "must be true/false, ignored" });
+        delete p.doubleSided;
+      }
+
+      props.push(p);
+    });
+
+    pose.props = props;
+  }
+
+  // camera bookmarks (optional, see controls/camera-views.js)
+  if (pose.cameras !== undefined) {
+    if (!Array.isArray(pose.cameras)) {
+      warnings.push({ path: "cameras", message: "must be a list of camera bookmarks, ignored" });
+      delete pose.cameras;
+    } else {
+      pose.cameras = checkCameras(pose.cameras, warnings);
+    }
+  }
+
+  // lighting rig (optional, see engine/lighting.js)
+  if (pose.lighting !== undefined) {
+    if (!pose.lighting || typeof pose.lighting !== "object" || Array.isArray(pose.lighting)) {
+      warnings.push({ path: "lighting", message: "must be an object, ignored" });
+      delete pose.lighting;
+    } else {
+      pose.lighting = checkLighting(pose.lighting, warnings);
+    }
+  }
+
+  if (pose.notes !== undefined && typeof pose.notes !== "string") {
+    warnings.push({ path: "notes", message: "must be text, ignored" });
+    delete pose.notes;
+  }
+
+  // gallery metadata (optional, carried by exported gallery poses)
+  if (pose.tags !== undefined && !(Array.isArray(pose.tags) && pose.tags.every((t) => typeof t === "string"))) {
+    warnings.push({ path: "tags", message: "must be a list of strings, ignored" });
+    delete pose.tags;
+  }
+  if (pose.folder !== undefined && typeof pose.folder !== "string") {
+    warnings.push({ path: "folder", message: "must be text, ignored" });
+    delete pose.folder;
+  }
+
+  return report({ pose, fromVersion, version: POSE_VERSION });
+}
+
+/**
+ * Human-readable lines for a report (for toasts / the import report dialog).
+ * @param {ReturnType<typeof validatePose>} report
+ * @param {number} [max=12]
+ * @returns {string[]}
+ */
+export function formatPoseReport(report, max = 12) {
+  if (!report) return [];
+  const lines = [
+    ...report.errors.map((e) => `✖ ${e.path ? e.path + ": " : ""}${e.message}`),
+    ...report.warnings.map((w) => `⚠ ${w.path ? w.path + ": " : ""}${w.message}`)
+  ];
+  if (lines.length > max) {
+    const more = lines.length - max;
+    return [...lines.slice(0, max), `… and ${more} more`];
+  }
+  return lines;
+}
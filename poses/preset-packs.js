@@ -0,0 +1,158 @@
+// poses/preset-packs.js
+// Preset packs: JSON files that bundle preset poses with a small manifest.
+//
+// presets/packs.json lists the built-in pack files (relative to that file):
+//   { "packs": ["default-poses.json", ...] }
+//
+// A pack file:
+//   {
+//     "type": "pose_sandbox_preset_pack",
+//     "version": 1,
+//     "id": "default",                       // unique per pack
+//     "name": "Default poses",
+//     "author": "Pose Sandbox",
+//     "categories": [{ "id": "standing", "name": "Standing" }, ...],   // or plain strings
+//     "poses": [{ "id": "relaxed", "name": "Relaxed", "category": "standing", "pose": { version, joints } }]
+//   }
+//
+// Parsed presets are flat objects PresetsUI can render/group:
+//   { id: "<packId>/<poseId>", name, category, categoryName, packId, packName, author, pose }
+//
+// Every pose goes through the caller's validatePose (pose-schema report) when provided.
+
+export const PRESET_PACK_TYPE = "pose_sandbox_preset_pack";
+export const PRESET_PACK_VERSION = 1;
+
+const UNCATEGORIZED = "uncategorized";
+
+function slug(s, fallback) {
+  const v = String(s ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return v || fallback;
+}
+
+/**
+ * @typedef {Object} PresetPack
+ * @property {string} id
+ * @property {string} name
+ * @property {string} author
+ * @property {{ id:string, name:string }[]} categories
+ * @property {Object[]} presets
+ * @property {"builtin"|"user"} source
+ */
+
+/**
+ * Validate + flatten a pack file.
+ * @param {any} data
+ * @param {{ validatePose?: (pose:any)=>any, source?: "builtin"|"user", fallbackId?: string }} [opts]
+ * @returns {{ pack: PresetPack|null, entries: { name:string, report:any }[], error: string }}
+ */
+export function parsePresetPack(data, { validatePose = null, source = "builtin", fallbackId = "pack" } = {}) {
+  if (!data || typeof data !== "object" || data.type !== PRESET_PACK_TYPE) {
+    return { pack: null, entries: [], error: "not a preset pack" };
+  }
+  if (!Number.isInteger(data.version) || data.version > PRESET_PACK_VERSION) {
+    return { pack: null, entries: [], error: `unsupported preset pack version ${data.version}` };
+  }
+  if (!Array.isArray(data.poses)) {
+    return { pack: null, entries: [], error: "pack has no poses list" };
+  }
+
+  const id = slug(data.id, slug(data.name, fallbackId));
+  const name = String(data.name || id);
+  const author = String(data.author || "");
+
+  const categories = [];
+  (Array.isArray(data.categories) ? data.categories : []).forEach((c) => {
+    const cat = typeof c === "string" ? { id: slug(c, ""), name: c } : { id: slug(c?.id ?? c?.name, ""), name: String(c?.name || c?.id || "") };
+    if (cat.id && !categories.some((x) => x.id === cat.id)) categories.push(cat);
+  });
+  const categoryName = (cid) => categories.find((c) => c.id === cid)?.name;
+
+  const entries = [];
+  const presets = [];
+  const usedIds = new Set();
+
+  data.poses.forEach((p, i) => {
+    const label = `${name}: ${p?.name || `pose ${i + 1}`}`;
+    if (!p || typeof p !== "object" || !p.pose) {
+      entries.push({ name: label, report: { ok: false, errors: [{ path: "pose", message: "missing pose" }], warnings: [] } });
+      return;
+    }
+
+    let pose = p.pose;
+    if (typeof validatePose === "function") {
+      const report = validatePose(pose);
+      if (!report.ok || report.warnings.length) entries.push({ name: label, report });
+      if (!report.ok) return;
+      pose = report.pose;
+    }
+
+    let pid = slug(p.id ?? p.name, `pose-${i + 1}`);
+    while (usedIds.has(pid)) pid += "_";
+    usedIds.add(pid);
+
+    // categories not declared in the manifest still group, under their own name
+    let category = p.category == null || p.category === "" ? UNCATEGORIZED : slug(p.category, UNCATEGORIZED);
+    if (category !== UNCATEGORIZED && !categoryName(category)) categories.push({ id: category, name: String(p.category) });
+
+    presets.push({
+      id: `${id}/${pid}`,
+      name: String(p.name || `Pose ${i + 1}`),
+      category,
+      categoryName: categoryName(category) || "Uncategorized",
+      packId: id,
+      packName: name,
+      author,
+      source,
+      pose
+    });
+  });
+
+  return { pack: { id, name, author, categories, presets, source }, entries, error: "" };
+}
+
+/**
+ * Fetch the built-in packs listed in an index file.
+ * @param {string} indexUrl e.g. "./presets/packs.json"
+ * @param {{ validatePose?: (pose:any)=>any }} [opts]
+ * @returns {Promise<{ packs: PresetPack[], entries: any[], errors: string[] }>}
+ */
+export async function loadPresetPacks(indexUrl, { validatePose = null } = {}) {
+  const packs = [];
+  const entries = [];
+  const errors = [];
+
+  let index;
+  try {
+    const res = await fetch(indexUrl, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    index = await res.json();
+  } catch (e) {
+    errors.push(`${indexUrl}: ${e?.message || e}`);
+    return { packs, entries, errors };
+  }
+
+  const files = Array.isArray(index?.packs) ? index.packs : [];
+  const base = new URL(indexUrl, document.baseURI);
+
+  for (const file of files) {
+    try {
+      const res = await fetch(new URL(String(file), base), { cache: "no-cache" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+
+      const r = parsePresetPack(data, { validatePose, source: "builtin", fallbackId: slug(file, "pack") });
+      entries.push(...r.entries);
+      if (r.error) errors.push(`${file}: ${r.error}`);
+      else packs.push(r.pack);
+    } catch (e) {
+      errors.push(`${file}: ${e?.message || e}`);
+    }
+  }
+
+  return { packs, entries, errors };
+}
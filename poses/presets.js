@@ -1,16 +1,32 @@
 // poses/presets.js
-// Built-in preset definitions + lightweight UI renderer (preset gallery)
+// Preset poses + lightweight UI renderer (preset gallery)
 // Matches your app.js behavior:
 // - clicking a preset card selects it (and can optionally apply immediately)
 // - Apply Preset button calls applySelected()
 // - Save to Gallery button applies then calls saveToGallery({name})
 //
+// Presets come from JSON preset packs (see poses/preset-packs.js): the built-in packs listed in
+// presets/packs.json plus packs the user imported (kept in localStorage). Cards are grouped by
+// category. If no pack loads (offline, file://, broken json) the inline createPresets() list is used.
+//
+// "Save as preset" stores the current joints as a user preset in the "My presets" pack (same
+// localStorage list as imported packs, so it shows up next to the built-ins). Only those presets
+// can be renamed, deleted and reordered (within their category).
+//
+// Card thumbnails come from an optional "thumbnailer" (engine/pose-thumbnails.js): it renders each
+// preset offscreen with a hidden character and caches by pose content. Missing thumbnails are
+// generated one per frame after render(), so a big pack doesn't stall the UI.
+//
 // You inject the "applyPoseJointsOnly" function from poses/pose-io.js (or your own),
 // and "showToast", and optionally "saveToGallery" (Gallery.saveCurrentPoseToGallery).
 
+import { parsePresetPack, loadPresetPacks, PRESET_PACK_TYPE, PRESET_PACK_VERSION } from "./preset-packs.js";
+
+/** Pack id that holds presets saved from the current pose. */
+export const USER_PRESETS_PACK_ID = "my-presets";
+
+/** Inline fallback presets (same poses as presets/default-poses.json). */
 export function createPresets() {
-  // You can later replace these with fetch("./presets/defaultPose.json") etc.
-  // For now we keep them inline exactly like your working app.js
   return [
     {
       id: "preset_1",
@@ -125,16 +141,308 @@ export class PresetsUI {
     this.containerEl = opts.containerEl || null;      // #presetGallery
     this.btnApplyEl = opts.btnApplyEl || null;        // #btnPresetApply
     this.btnSaveEl = opts.btnSaveEl || null;          // #btnPresetSave
+    this.btnImportEl = opts.btnImportEl || null;      // #btnPresetImport (optional)
+    this.fileImportEl = opts.fileImportEl || null;    // hidden <input type="file"> for packs
+    this.btnRemovePackEl = opts.btnRemovePackEl || null; // removes the selected preset's user pack
+    this.btnSaveAsEl = opts.btnSaveAsEl || null;      // "Save as preset" (current pose)
+    this.btnRenameEl = opts.btnRenameEl || null;      // rename selected user preset
+    this.btnDeleteEl = opts.btnDeleteEl || null;      // delete selected user preset
+    this.btnMoveUpEl = opts.btnMoveUpEl || null;      // reorder selected user preset
+    this.btnMoveDownEl = opts.btnMoveDownEl || null;
+
+    this.packIndexUrl = opts.packIndexUrl || null;    // "./presets/packs.json" (null = inline presets only)
+    this.storageKey = opts.storageKey || "pose_sandbox_preset_packs_v1"; // imported user packs (raw json)
 
-    this.presets = Array.isArray(opts.presets) ? opts.presets : createPresets();
+    // inline fallback list (createPresets() unless given)
+    this.fallbackPresets = (Array.isArray(opts.presets) ? opts.presets : createPresets()).map((p) => ({
+      category: "builtin",
+      categoryName: "Built-in",
+      packId: "inline",
+      packName: "Built-in preset",
+      author: "",
+      source: "builtin",
+      ...p
+    }));
+
+    /** @type {import("./preset-packs.js").PresetPack[]} */
+    this.packs = [];
+    this.presets = this.packIndexUrl ? [] : this.fallbackPresets;
+    this.loading = !!this.packIndexUrl;
     this.selectedId = opts.selectedId || null;
 
     this.applyPoseJointsOnly = opts.applyPoseJointsOnly || null; // function(poseObj)
     this.saveToGallery = opts.saveToGallery || null;             // function({name})
+    this.serializePose = opts.serializePose || null;             // () => pose (for "Save as preset")
+    this.askPresetInfo = opts.askPresetInfo || null;             // ({ name, category, categories }) => Promise<{ name, category }|null>
+    this.validatePose = opts.validatePose || null;               // pose-schema report (optional)
+    this.onReport = opts.onReport || null;                       // (entries) => void (optional)
+    this.thumbnailer = opts.thumbnailer || null;                 // { render(pose), peek(pose), prune(poses) } (optional)
+    this._thumbJob = 0;
     this.showToast = opts.showToast || (() => {});
     this.applyOnClick = opts.applyOnClick !== false; // default true
   }
 
+  /* ---------------- packs ---------------- */
+
+  /** Load built-in packs (presets/packs.json) + stored user packs; inline presets if none load. */
+  async loadPacks() {
+    const entries = [];
+    let builtin = [];
+
+    if (this.packIndexUrl) {
+      const res = await loadPresetPacks(this.packIndexUrl, { validatePose: this.validatePose });
+      builtin = res.packs;
+      entries.push(...res.entries);
+      res.errors.forEach((e) => console.warn("Preset pack:", e));
+    }
+
+    const user = [];
+    this._readUserPacks().forEach((data) => {
+      const r = parsePresetPack(data, { validatePose: this.validatePose, source: "user" });
+      entries.push(...r.entries);
+      if (r.pack) user.push(r.pack);
+    });
+
+    this.loading = false;
+    this.setPacks([...builtin, ...user]);
+    if (entries.length && typeof this.onReport === "function") this.onReport(entries);
+  }
+
+  setPacks(packs) {
+    this.packs = packs;
+    const fromPacks = packs.flatMap((p) => p.presets);
+    const hasBuiltin = packs.some((p) => p.source === "builtin" && p.presets.length);
+
+    // inline fallback when the built-in packs didn't load
+    this.presets = hasBuiltin ? fromPacks : [...this.fallbackPresets, ...fromPacks];
+    this.thumbnailer?.prune?.(this.presets.map((p) => p.pose));
+    this.render();
+  }
+
+  /** @param {File} file */
+  async importPackFile(file) {
+    if (!file) return;
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      this.showToast("Preset pack import failed (invalid json)", 1800);
+      return;
+    }
+
+    const parse = () => parsePresetPack(data, { validatePose: this.validatePose, source: "user", fallbackId: file.name });
+    let r = parse();
+
+    // same id as a built-in pack (or "My presets"): keep both (the imported copy gets its own id)
+    if (r.pack && (r.pack.id === USER_PRESETS_PACK_ID || this.packs.some((p) => p.id === r.pack.id && p.source === "builtin"))) {
+      data = { ...data, id: `${r.pack.id}-user` };
+      r = parse();
+    }
+
+    if (r.entries.length && typeof this.onReport === "function") this.onReport(r.entries);
+    if (!r.pack) {
+      this.showToast(`Preset pack import failed (${r.error})`, 2000);
+      return;
+    }
+    if (!r.pack.presets.length) {
+      this.showToast("Preset pack has no valid poses", 1800);
+      return;
+    }
+
+    // re-importing a user pack replaces it
+    const stored = this._readUserPacks().filter((d) => parsePresetPack(d).pack?.id !== r.pack.id);
+    stored.push({ ...data, id: r.pack.id });
+    if (!this._writeUserPacks(stored)) return;
+
+    this.setPacks([...this.packs.filter((p) => p.id !== r.pack.id), r.pack]);
+    this.selectedId = r.pack.presets[0].id;
+    this.render();
+    this.showToast(`Preset pack imported: ${r.pack.name} (${r.pack.presets.length})`);
+  }
+
+  /** Remove the user pack the selected preset belongs to. */
+  removeSelectedPack() {
+    const p = this.getSelected();
+    const pack = p ? this.packs.find((x) => x.id === p.packId) : null;
+    if (!pack || pack.source !== "user") return this.showToast("Select a preset from an imported pack");
+    if (!confirm(`Remove preset pack “${pack.name}”?`)) return;
+
+    const stored = this._readUserPacks().filter((d) => parsePresetPack(d).pack?.id !== pack.id);
+    if (!this._writeUserPacks(stored)) return;
+
+    this.selectedId = null;
+    this.setPacks(this.packs.filter((x) => x.id !== pack.id));
+    this.showToast(`Preset pack removed: ${pack.name}`);
+  }
+
+  _readUserPacks() {
+    try {
+      const list = JSON.parse(localStorage.getItem(this.storageKey) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _writeUserPacks(list) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(list));
+      return true;
+    } catch (e) {
+      console.warn("Preset pack save failed:", e);
+      this.showToast("Preset pack save failed (storage full?)", 1800);
+      return false;
+    }
+  }
+
+  /* ---------------- user presets ("My presets") ---------------- */
+
+  /** Raw stored "My presets" pack (a fresh empty one if nothing was saved yet). */
+  _readUserPresetData() {
+    const stored = this._readUserPacks().find((d) => d?.id === USER_PRESETS_PACK_ID);
+    return {
+      type: PRESET_PACK_TYPE,
+      version: PRESET_PACK_VERSION,
+      id: USER_PRESETS_PACK_ID,
+      name: "My presets",
+      author: "",
+      categories: [],
+      ...stored,
+      poses: Array.isArray(stored?.poses) ? stored.poses.slice() : []
+    };
+  }
+
+  /**
+   * Change the stored "My presets" pack, then re-parse it into this.packs.
+   * @param {(data:Object)=>void} edit mutates the raw pack
+   * @returns {boolean} false if storage failed
+   */
+  _editUserPresets(edit) {
+    const data = this._readUserPresetData();
+    edit(data);
+
+    // drop categories nothing uses any more
+    const used = new Set(data.poses.map((p) => p.category));
+    data.categories = data.categories.filter((c) => used.has(c));
+
+    const stored = this._readUserPacks().filter((d) => d?.id !== USER_PRESETS_PACK_ID);
+    if (data.poses.length) stored.push(data);
+    if (!this._writeUserPacks(stored)) return false;
+
+    const { pack } = parsePresetPack(data, { validatePose: this.validatePose, source: "user" });
+    const others = this.packs.filter((x) => x.id !== USER_PRESETS_PACK_ID);
+    this.setPacks(pack && pack.presets.length ? [...others, pack] : others);
+    return true;
+  }
+
+  /** Selected preset if it is one of the user's saved presets (else toast + null). */
+  _selectedUserPreset() {
+    const p = this.getSelected();
+    if (p && p.packId === USER_PRESETS_PACK_ID) return p;
+    this.showToast("Select one of your saved presets (My presets)");
+    return null;
+  }
+
+  _rawPoseId(p) {
+    return p.id.slice(USER_PRESETS_PACK_ID.length + 1);
+  }
+
+  /** Store the current pose's joints as a new user preset (asks for name + category). */
+  async saveCurrentAsPreset() {
+    if (typeof this.serializePose !== "function") return this.showToast("Save as preset not wired", 1800);
+
+    let pose;
+    try {
+      pose = this.serializePose();
+    } catch (e) {
+      console.warn(e);
+      return this.showToast("Save as preset failed", 1800);
+    }
+
+    const data = this._readUserPresetData();
+    const last = data.poses[data.poses.length - 1];
+    const ask = this.askPresetInfo || (async ({ name }) => {
+      const next = prompt("Preset name:", name);
+      return next == null ? null : { name: next, category: last?.category || "" };
+    });
+
+    const info = await ask({ name: `Preset ${data.poses.length + 1}`, category: last?.category || "", categories: data.categories });
+    if (!info) return;
+
+    const name = String(info.name || "").trim() || `Preset ${data.poses.length + 1}`;
+    const category = String(info.category || "").trim() || "General";
+    const id = `p_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+    // joints only, like every other preset
+    const ok = this._editUserPresets((d) => {
+      if (!d.categories.includes(category)) d.categories.push(category);
+      d.poses.push({ id, name, category, pose: { version: pose.version, joints: pose.joints } });
+    });
+    if (!ok) return;
+
+    this.selectedId = `${USER_PRESETS_PACK_ID}/${id}`;
+    this.render();
+    this.showToast(`Preset saved: ${name}`);
+  }
+
+  renameSelectedPreset() {
+    const p = this._selectedUserPreset();
+    if (!p) return;
+    const next = prompt("Rename preset:", p.name);
+    if (next == null) return;
+    const name = next.trim();
+    if (!name || name === p.name) return;
+
+    const rawId = this._rawPoseId(p);
+    const ok = this._editUserPresets((d) => {
+      const raw = d.poses.find((x) => x.id === rawId);
+      if (raw) raw.name = name;
+    });
+    if (ok) {
+      this.showToast("Preset renamed");
+    }
+  }
+
+  deleteSelectedPreset() {
+    const p = this._selectedUserPreset();
+    if (!p) return;
+    if (!confirm(`Delete preset “${p.name}”?`)) return;
+
+    const rawId = this._rawPoseId(p);
+    const ok = this._editUserPresets((d) => {
+      d.poses = d.poses.filter((x) => x.id !== rawId);
+    });
+    if (ok) {
+      this.selectedId = null;
+      this.render();
+      this.showToast("Preset deleted");
+    }
+  }
+
+  /**
+   * Move the selected user preset up/down within its category.
+   * @param {-1|1} dir
+   */
+  moveSelectedPreset(dir) {
+    const p = this._selectedUserPreset();
+    if (!p) return;
+
+    const rawId = this._rawPoseId(p);
+    this._editUserPresets((d) => {
+      const i = d.poses.findIndex((x) => x.id === rawId);
+      if (i < 0) return;
+      const cat = d.poses[i].category;
+
+      let j = i + dir;
+      while (j >= 0 && j < d.poses.length && d.poses[j].category !== cat) j += dir;
+      if (j < 0 || j >= d.poses.length) return;
+
+      [d.poses[i], d.poses[j]] = [d.poses[j], d.poses[i]];
+    });
+  }
+
+  /* ---------------- selection ---------------- */
+
   ensureSelectionValid() {
     if (!this.selectedId) return;
     const exists = this.presets.some((p) => p.id === this.selectedId);
@@ -151,6 +459,36 @@ export class PresetsUI {
     return this.presets.find((p) => p.id === this.selectedId) || null;
   }
 
+  /* ---------------- rendering ---------------- */
+
+  /** Presets grouped by pack + category, in pack/manifest order. */
+  getGroups() {
+    const groups = new Map();
+    const multiPack = new Set(this.presets.map((p) => p.packId)).size > 1;
+
+    this.presets.forEach((p) => {
+      const key = `${p.packId}|${p.category}`;
+      if (!groups.has(key)) {
+        const title = multiPack ? `${p.categoryName} · ${p.packName}` : p.categoryName;
+        groups.set(key, { key, title, presets: [] });
+      }
+      groups.get(key).presets.push(p);
+    });
+
+    // keep each pack's category order from its manifest
+    const order = (g) => {
+      const [packId, cat] = g.key.split("|");
+      const pack = this.packs.find((x) => x.id === packId);
+      const i = pack ? pack.categories.findIndex((c) => c.id === cat) : -1;
+      return i < 0 ? 999 : i;
+    };
+    const packIndex = (g) => {
+      const i = this.packs.findIndex((x) => x.id === g.key.split("|")[0]);
+      return i < 0 ? -1 : i;
+    };
+    return [...groups.values()].sort((a, b) => packIndex(a) - packIndex(b) || order(a) - order(b));
+  }
+
   render() {
     if (!this.containerEl) return;
 
@@ -160,69 +498,125 @@ export class PresetsUI {
     if (!this.presets.length) {
       const empty = document.createElement("div");
       empty.className = "hint";
-      empty.textContent = "No presets available.";
+      empty.textContent = this.loading ? "Loading presets…" : "No presets available.";
       this.containerEl.appendChild(empty);
       return;
     }
 
-    this.presets.forEach((p, idx) => {
-      const card = document.createElement("div");
-      card.className = "poseItem" + (p.id === this.selectedId ? " poseItem--active" : "");
-      card.title = "Click to apply this preset";
+    let idx = 0;
+    this.getGroups().forEach((group) => {
+      const title = document.createElement("div");
+      title.className = "presetGroup__title";
+      title.textContent = group.title;
+      this.containerEl.appendChild(title);
+
+      group.presets.forEach((p) => this.containerEl.appendChild(this._renderCard(p, idx++)));
+    });
+
+    this._queueThumbnails();
+  }
+
+  /** Render missing thumbnails one per frame and swap them into the current cards. */
+  _queueThumbnails() {
+    if (!this.thumbnailer || !this.containerEl) return;
+    const job = ++this._thumbJob; // a newer render() cancels this run
+
+    const pending = this.presets.filter((p) => !this.thumbnailer.peek(p.pose));
+    const step = () => {
+      if (job !== this._thumbJob) return;
+      const p = pending.shift();
+      if (!p) return;
+
+      const url = this.thumbnailer.render(p.pose);
+      const faux = url ? [...this.containerEl.querySelectorAll("[data-preset-thumb]")].find((el) => el.dataset.presetThumb === p.id) : null;
+      if (faux) faux.replaceWith(this._thumbImg(p, url));
+      requestAnimationFrame(step);
+    };
+    if (pending.length) requestAnimationFrame(step);
+  }
+
+  _thumbImg(p, url) {
+    const img = document.createElement("img");
+    img.className = "poseThumb";
+    img.alt = p.name;
+    img.src = url;
+    return img;
+  }
+
+  _renderCard(p, idx) {
+    const card = document.createElement("div");
+    card.className = "poseItem" + (p.id === this.selectedId ? " poseItem--active" : "");
+    card.title = "Click to apply this preset";
 
-      const faux = document.createElement("div");
+    const url = this.thumbnailer?.peek?.(p.pose);
+    const faux = url ? this._thumbImg(p, url) : document.createElement("div");
+    if (!url) {
       faux.className = "poseThumb";
+      faux.dataset.presetThumb = p.id;
       faux.style.display = "grid";
       faux.style.placeItems = "center";
       faux.style.fontWeight = "900";
       faux.style.color = "rgba(255,255,255,0.85)";
       faux.style.userSelect = "none";
       faux.textContent = "★";
+    }
 
-      const badge = document.createElement("div");
-      badge.className = "poseBadge";
-      badge.textContent = String(idx + 1);
-
-      const meta = document.createElement("div");
-      meta.className = "poseMeta";
-
-      const name = document.createElement("div");
-      name.className = "poseName";
-      name.textContent = p.name;
-
-      const time = document.createElement("div");
-      time.className = "poseTime";
-      time.textContent = "Built-in preset";
-
-      meta.appendChild(name);
-      meta.appendChild(time);
-
-      card.appendChild(faux);
-      card.appendChild(badge);
-      card.appendChild(meta);
-
-      card.addEventListener("click", () => {
-        this.selectedId = p.id;
-        this.render();
-
-        if (this.applyOnClick && typeof this.applyPoseJointsOnly === "function") {
-          try {
-            this.applyPoseJointsOnly(p.pose);
-            this.showToast(`Preset applied: ${p.name}`);
-          } catch (e) {
-            console.warn(e);
-            this.showToast("Preset apply failed", 1800);
-          }
-        } else {
-          this.showToast(`Selected preset: ${p.name}`);
-        }
-      });
+    const badge = document.createElement("div");
+    badge.className = "poseBadge";
+    badge.textContent = String(idx + 1);
+
+    const meta = document.createElement("div");
+    meta.className = "poseMeta";
+
+    const name = document.createElement("div");
+    name.className = "poseName";
+    name.textContent = p.name;
+
+    const time = document.createElement("div");
+    time.className = "poseTime";
+    time.textContent = [p.packName, p.author].filter(Boolean).join(" · ");
 
-      this.containerEl.appendChild(card);
+    meta.appendChild(name);
+    meta.appendChild(time);
+
+    card.appendChild(faux);
+    card.appendChild(badge);
+    card.appendChild(meta);
+
+    card.addEventListener("click", () => {
+      this.selectedId = p.id;
+      this.render();
+
+      if (this.applyOnClick && typeof this.applyPoseJointsOnly === "function") {
+        try {
+          this.applyPoseJointsOnly(p.pose);
+          this.showToast(`Preset applied: ${p.name}`);
+        } catch (e) {
+          console.warn(e);
+          this.showToast("Preset apply failed", 1800);
+        }
+      } else {
+        this.showToast(`Selected preset: ${p.name}`);
+      }
     });
+
+    return card;
   }
 
   hookButtons() {
+    this.btnImportEl?.addEventListener("click", () => this.fileImportEl?.click?.());
+    this.fileImportEl?.addEventListener("change", async () => {
+      await this.importPackFile(this.fileImportEl.files?.[0]);
+      this.fileImportEl.value = "";
+    });
+    this.btnRemovePackEl?.addEventListener("click", () => this.removeSelectedPack());
+
+    this.btnSaveAsEl?.addEventListener("click", () => this.saveCurrentAsPreset());
+    this.btnRenameEl?.addEventListener("click", () => this.renameSelectedPreset());
+    this.btnDeleteEl?.addEventListener("click", () => this.deleteSelectedPreset());
+    this.btnMoveUpEl?.addEventListener("click", () => this.moveSelectedPreset(-1));
+    this.btnMoveDownEl?.addEventListener("click", () => this.moveSelectedPreset(1));
+
     if (this.btnApplyEl) {
       this.btnApplyEl.addEventListener("click", () => {
         const p = this.getSelected();
@@ -261,5 +655,6 @@ export class PresetsUI {
   init() {
     this.render();
     this.hookButtons();
+    if (this.packIndexUrl) this.loadPacks();
   }
 }